@@ -0,0 +1,197 @@
+// Rutas REST de proyectos y revisiones. Todo el JSON del proyecto se guarda
+// tal cual lo produce exportProjectData en la UI.
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// respuesta con status distinto de 200; cualquier otro valor se envía como 200
+const REPLY = Symbol("reply");
+const reply = (status, body) => ({ [REPLY]: true, status, body });
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "El proyecto supera 10 MB.");
+    chunks.push(chunk);
+  }
+
+  if (size === 0) return {};
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch (error) {
+    throw new HttpError(400, `JSON inválido: ${error.message}`);
+  }
+
+  // null, listas o valores sueltos no son un cuerpo válido
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "El cuerpo debe ser un objeto JSON.");
+  }
+  return body;
+}
+
+function requireName(name) {
+  const value = typeof name === "string" ? name.trim() : "";
+  if (!value) throw new HttpError(400, "Falta el nombre del proyecto.");
+  if (value.length > 120) throw new HttpError(400, "El nombre admite máximo 120 caracteres.");
+  return value;
+}
+
+function requireData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new HttpError(400, "Falta `data` con el JSON del proyecto.");
+  }
+  return data;
+}
+
+function optionalMessage(message) {
+  return typeof message === "string" ? message.trim().slice(0, 200) : "";
+}
+
+function found(value, message = "Proyecto no encontrado.") {
+  if (value === null || value === undefined || value === false) {
+    throw new HttpError(404, message);
+  }
+  return value;
+}
+
+// [método, patrón, handler({ req, url, params })]
+function buildRoutes(store) {
+  return [
+    ["GET", /^\/api\/health$/, async () => ({ ok: true, store: store.kind })],
+
+    ["GET", /^\/api\/projects$/, async ({ url }) =>
+      store.listProjects({ q: url.searchParams.get("q") ?? "" })],
+
+    ["POST", /^\/api\/projects$/, async ({ req }) => {
+      const body = await readJsonBody(req);
+      return reply(201, await store.createProject({
+        name: requireName(body.name),
+        data: requireData(body.data),
+        message: optionalMessage(body.message),
+      }));
+    }],
+
+    ["GET", /^\/api\/projects\/([^/]+)$/, async ({ params }) =>
+      found(await store.getProject(params[0]))],
+
+    // renombrar y/o guardar una revisión nueva en una sola llamada
+    ["PUT", /^\/api\/projects\/([^/]+)$/, async ({ req, params }) => {
+      const [id] = params;
+      const body = await readJsonBody(req);
+
+      // se valida todo antes de tocar el store
+      const name = body.name !== undefined ? requireName(body.name) : null;
+      const data = body.data !== undefined ? requireData(body.data) : null;
+
+      if (name !== null) found(await store.renameProject(id, name));
+      if (data !== null) {
+        found(await store.addRevision(id, { data, message: optionalMessage(body.message) }));
+      }
+
+      return found(await store.getProject(id));
+    }],
+
+    ["DELETE", /^\/api\/projects\/([^/]+)$/, async ({ params }) => {
+      found(await store.deleteProject(params[0]));
+      return reply(204);
+    }],
+
+    // copia la última revisión en un proyecto nuevo
+    ["POST", /^\/api\/projects\/([^/]+)\/duplicate$/, async ({ req, params }) => {
+      const source = found(await store.getProject(params[0]));
+      const body = await readJsonBody(req);
+      const name = body.name !== undefined ? requireName(body.name) : `${source.name} (copia)`;
+
+      return reply(201, await store.createProject({
+        name: name.slice(0, 120),
+        data: source.data,
+        message: `Copia de ${source.name}`,
+      }));
+    }],
+
+    ["GET", /^\/api\/projects\/([^/]+)\/revisions$/, async ({ params }) =>
+      found(await store.listRevisions(params[0]))],
+
+    ["POST", /^\/api\/projects\/([^/]+)\/revisions$/, async ({ req, params }) => {
+      const body = await readJsonBody(req);
+      return reply(201, found(await store.addRevision(params[0], {
+        data: requireData(body.data),
+        message: optionalMessage(body.message),
+      })));
+    }],
+
+    ["GET", /^\/api\/projects\/([^/]+)\/revisions\/(\d+)$/, async ({ params }) =>
+      found(await store.getRevision(params[0], Number(params[1])), "Revisión no encontrada.")],
+  ];
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, "URL mal codificada.");
+  }
+}
+
+function send(res, status, body, headers) {
+  res.writeHead(status, headers);
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+export function createRequestHandler(store, { corsOrigin = "*" } = {}) {
+  const routes = buildRoutes(store);
+
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": corsOrigin,
+    "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  };
+
+  return async (req, res) => {
+    if (req.method === "OPTIONS") {
+      send(res, 204, undefined, headers);
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const matches = routes
+      .map(([method, pattern, handler]) => ({ method, handler, m: url.pathname.match(pattern) }))
+      .filter((r) => r.m);
+
+    const route = matches.find((r) => r.method === req.method);
+
+    try {
+      if (!route) {
+        throw matches.length > 0
+          ? new HttpError(405, "Método no permitido.")
+          : new HttpError(404, "Ruta no encontrada.");
+      }
+
+      const params = route.m.slice(1).map(decodeParam);
+      const result = await route.handler({ req, url, params });
+
+      if (result?.[REPLY]) {
+        send(res, result.status, result.body, headers);
+      } else {
+        send(res, 200, result, headers);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error(error);
+
+      send(res, status, { error: status === 500 ? "Error interno." : error.message }, headers);
+    }
+  };
+}
@@ -0,0 +1,39 @@
+// API de persistencia de proyectos.
+//   PORT (3001) · STORE memory|sqlite|postgres · SQLITE_FILE · DATABASE_URL · CORS_ORIGIN
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+import { createRequestHandler } from "./routes.js";
+import { createStore } from "./stores/index.js";
+
+export async function startServer(env = process.env) {
+  const store = await createStore(env);
+  const server = createServer(
+    createRequestHandler(store, { corsOrigin: env.CORS_ORIGIN || "*" })
+  );
+
+  const port = Number(env.PORT) || 3001;
+  await new Promise((resolve) => server.listen(port, resolve));
+
+  return {
+    server,
+    store,
+    port: server.address().port,
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await store.close();
+    },
+  };
+}
+
+// ejecutado directo (npm start), no al importarlo
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) {
+  const app = await startServer();
+  console.log(`API de proyectos en http://localhost:${app.port}/api (store: ${app.store.kind})`);
+
+  const shutdown = async () => {
+    await app.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
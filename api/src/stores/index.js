@@ -0,0 +1,28 @@
+import { createMemoryStore } from "./memoryStore.js";
+
+export const STORE_KINDS = ["memory", "sqlite", "postgres"];
+
+/**
+ * Elige el store según el entorno:
+ * STORE=memory | sqlite (SQLITE_FILE) | postgres (DATABASE_URL).
+ * Sin STORE: postgres si hay DATABASE_URL, si no sqlite.
+ */
+export async function createStore(env = process.env) {
+  const kind = env.STORE || (env.DATABASE_URL ? "postgres" : "sqlite");
+
+  if (kind === "memory") return createMemoryStore();
+
+  if (kind === "sqlite") {
+    const { createSqliteStore } = await import("./sqliteStore.js");
+    return createSqliteStore({ filename: env.SQLITE_FILE || "data/projects.sqlite" });
+  }
+
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) throw new Error("STORE=postgres requiere DATABASE_URL.");
+
+    const { createPostgresStore } = await import("./postgresStore.js");
+    return createPostgresStore({ connectionString: env.DATABASE_URL });
+  }
+
+  throw new Error(`STORE desconocido: ${kind} (usa ${STORE_KINDS.join(", ")}).`);
+}
@@ -0,0 +1,100 @@
+// Store en memoria: sirve para desarrollo y pruebas, se pierde al reiniciar.
+import { randomUUID } from "node:crypto";
+import { summarizeProject } from "./summary.js";
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+export function createMemoryStore() {
+  const projects = new Map(); // id -> { id, name, createdAt, updatedAt, revisions: [] }
+
+  function toListItem(p) {
+    const latest = p.revisions[p.revisions.length - 1];
+
+    return {
+      id: p.id,
+      name: p.name,
+      createdAt: p.createdAt,
+      updatedAt: p.updatedAt,
+      revision: latest?.rev ?? 0,
+      ...summarizeProject(latest?.data),
+    };
+  }
+
+  function toRevisionItem(r) {
+    return { rev: r.rev, message: r.message, createdAt: r.createdAt };
+  }
+
+  return {
+    kind: "memory",
+
+    async listProjects({ q = "" } = {}) {
+      const needle = q.trim().toLowerCase();
+
+      return [...projects.values()]
+        .filter((p) => !needle || p.name.toLowerCase().includes(needle))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(toListItem);
+    },
+
+    async getProject(id) {
+      const p = projects.get(id);
+      if (!p) return null;
+
+      const latest = p.revisions[p.revisions.length - 1];
+      return { ...toListItem(p), data: clone(latest?.data ?? null) };
+    },
+
+    async createProject({ name, data, message = "" }) {
+      const now = new Date().toISOString();
+      const p = {
+        id: randomUUID(),
+        name,
+        createdAt: now,
+        updatedAt: now,
+        revisions: [{ rev: 1, message, data: clone(data), createdAt: now }],
+      };
+
+      projects.set(p.id, p);
+      return this.getProject(p.id);
+    },
+
+    async renameProject(id, name) {
+      const p = projects.get(id);
+      if (!p) return null;
+
+      p.name = name;
+      p.updatedAt = new Date().toISOString();
+      return this.getProject(id);
+    },
+
+    async deleteProject(id) {
+      return projects.delete(id);
+    },
+
+    async listRevisions(id) {
+      const p = projects.get(id);
+      if (!p) return null;
+
+      return [...p.revisions].reverse().map(toRevisionItem);
+    },
+
+    async getRevision(id, rev) {
+      const r = projects.get(id)?.revisions.find((x) => x.rev === rev);
+      return r ? { ...toRevisionItem(r), data: clone(r.data) } : null;
+    },
+
+    async addRevision(id, { data, message = "" }) {
+      const p = projects.get(id);
+      if (!p) return null;
+
+      const now = new Date().toISOString();
+      const rev = (p.revisions[p.revisions.length - 1]?.rev ?? 0) + 1;
+
+      p.revisions.push({ rev, message, data: clone(data), createdAt: now });
+      p.updatedAt = now;
+      return toRevisionItem(p.revisions[p.revisions.length - 1]);
+    },
+
+    async close() {},
+  };
+}
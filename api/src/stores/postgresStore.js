@@ -0,0 +1,212 @@
+// Store PostgreSQL (el de docker compose). Requiere el paquete opcional pg.
+import { randomUUID } from "node:crypto";
+import { summarizeProject } from "./summary.js";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS projects (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS revisions (
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  rev INTEGER NOT NULL,
+  message TEXT NOT NULL DEFAULT '',
+  data JSONB NOT NULL,
+  box_count INTEGER NOT NULL DEFAULT 0,
+  floor_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (project_id, rev)
+);
+
+ALTER TABLE revisions ADD COLUMN IF NOT EXISTS thumbnail JSONB;
+`;
+
+const LIST_SQL = `
+SELECT p.id, p.name, p.created_at, p.updated_at,
+       r.rev, r.box_count, r.floor_count, r.thumbnail
+FROM projects p
+LEFT JOIN LATERAL (
+  SELECT rev, box_count, floor_count, thumbnail FROM revisions
+  WHERE project_id = p.id ORDER BY rev DESC LIMIT 1
+) r ON TRUE
+`;
+
+const iso = (value) => (value instanceof Date ? value.toISOString() : value);
+
+function toListItem(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: iso(row.created_at),
+    updatedAt: iso(row.updated_at),
+    revision: row.rev ?? 0,
+    boxCount: row.box_count ?? 0,
+    floorCount: row.floor_count ?? 0,
+    thumbnail: row.thumbnail ?? null,
+  };
+}
+
+function toRevisionItem(row) {
+  return { rev: row.rev, message: row.message, createdAt: iso(row.created_at) };
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export async function createPostgresStore({ connectionString }) {
+  const { default: pg } = await import("pg");
+  const pool = new pg.Pool({ connectionString });
+
+  await pool.query(SCHEMA);
+
+  async function inTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function addRevisionRow(client, id, { data, message = "" }, now) {
+    // bloquea el proyecto para que dos guardados no tomen el mismo rev
+    await client.query("SELECT 1 FROM projects WHERE id = $1 FOR UPDATE", [id]);
+
+    const { rows } = await client.query(
+      "SELECT COALESCE(MAX(rev), 0) AS last FROM revisions WHERE project_id = $1",
+      [id]
+    );
+    const rev = Number(rows[0].last) + 1;
+    const summary = summarizeProject(data);
+
+    await client.query(
+      `INSERT INTO revisions (project_id, rev, message, data, box_count, floor_count, thumbnail, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        id,
+        rev,
+        message,
+        JSON.stringify(data),
+        summary.boxCount,
+        summary.floorCount,
+        JSON.stringify(summary.thumbnail),
+        now,
+      ]
+    );
+
+    return { rev, message, createdAt: now };
+  }
+
+  async function projectExists(id) {
+    if (!UUID_RE.test(id)) return false;
+    const { rowCount } = await pool.query("SELECT 1 FROM projects WHERE id = $1", [id]);
+    return rowCount > 0;
+  }
+
+  return {
+    kind: "postgres",
+
+    async listProjects({ q = "" } = {}) {
+      const { rows } = q.trim()
+        ? await pool.query(`${LIST_SQL} WHERE p.name ILIKE $1 ORDER BY p.updated_at DESC`, [
+            `%${q.trim()}%`,
+          ])
+        : await pool.query(`${LIST_SQL} ORDER BY p.updated_at DESC`);
+
+      return rows.map(toListItem);
+    },
+
+    async getProject(id) {
+      if (!UUID_RE.test(id)) return null;
+
+      const { rows } = await pool.query(`${LIST_SQL} WHERE p.id = $1`, [id]);
+      if (rows.length === 0) return null;
+
+      const rev = await pool.query(
+        "SELECT data FROM revisions WHERE project_id = $1 AND rev = $2",
+        [id, rows[0].rev ?? 0]
+      );
+
+      return { ...toListItem(rows[0]), data: rev.rows[0]?.data ?? null };
+    },
+
+    async createProject({ name, data, message = "" }) {
+      const id = randomUUID();
+      const now = new Date().toISOString();
+
+      await inTransaction(async (client) => {
+        await client.query(
+          "INSERT INTO projects (id, name, created_at, updated_at) VALUES ($1, $2, $3, $4)",
+          [id, name, now, now]
+        );
+        await addRevisionRow(client, id, { data, message }, now);
+      });
+
+      return this.getProject(id);
+    },
+
+    async renameProject(id, name) {
+      if (!UUID_RE.test(id)) return null;
+
+      const { rowCount } = await pool.query(
+        "UPDATE projects SET name = $1, updated_at = $2 WHERE id = $3",
+        [name, new Date().toISOString(), id]
+      );
+
+      return rowCount > 0 ? this.getProject(id) : null;
+    },
+
+    async deleteProject(id) {
+      if (!UUID_RE.test(id)) return false;
+
+      const { rowCount } = await pool.query("DELETE FROM projects WHERE id = $1", [id]);
+      return rowCount > 0;
+    },
+
+    async listRevisions(id) {
+      if (!(await projectExists(id))) return null;
+
+      const { rows } = await pool.query(
+        "SELECT rev, message, created_at FROM revisions WHERE project_id = $1 ORDER BY rev DESC",
+        [id]
+      );
+
+      return rows.map(toRevisionItem);
+    },
+
+    async getRevision(id, rev) {
+      if (!UUID_RE.test(id)) return null;
+
+      const { rows } = await pool.query(
+        "SELECT rev, message, data, created_at FROM revisions WHERE project_id = $1 AND rev = $2",
+        [id, rev]
+      );
+
+      return rows[0] ? { ...toRevisionItem(rows[0]), data: rows[0].data } : null;
+    },
+
+    async addRevision(id, { data, message = "" }) {
+      if (!(await projectExists(id))) return null;
+
+      const now = new Date().toISOString();
+
+      return inTransaction(async (client) => {
+        const item = await addRevisionRow(client, id, { data, message }, now);
+        await client.query("UPDATE projects SET updated_at = $1 WHERE id = $2", [now, id]);
+        return item;
+      });
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
@@ -0,0 +1,208 @@
+// Store SQLite: un archivo local, sin Docker. Usa node:sqlite (Node 22.5+)
+// y si no está disponible el paquete opcional better-sqlite3.
+import { randomUUID } from "node:crypto";
+import { mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { summarizeProject } from "./summary.js";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS projects (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS revisions (
+  project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  rev INTEGER NOT NULL,
+  message TEXT NOT NULL DEFAULT '',
+  data TEXT NOT NULL,
+  box_count INTEGER NOT NULL DEFAULT 0,
+  floor_count INTEGER NOT NULL DEFAULT 0,
+  thumbnail TEXT,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (project_id, rev)
+);
+`;
+
+async function openDatabase(filename) {
+  if (filename !== ":memory:") mkdirSync(dirname(filename), { recursive: true });
+
+  try {
+    const { DatabaseSync } = await import("node:sqlite");
+    return new DatabaseSync(filename);
+  } catch {
+    // sigue abajo con better-sqlite3
+  }
+
+  try {
+    const { default: Database } = await import("better-sqlite3");
+    return new Database(filename);
+  } catch {
+    throw new Error(
+      "SQLite no disponible: usa Node 22.5+ o instala better-sqlite3 (o STORE=memory)."
+    );
+  }
+}
+
+const LIST_SQL = `
+SELECT p.id, p.name, p.created_at, p.updated_at,
+       r.rev, r.box_count, r.floor_count, r.thumbnail
+FROM projects p
+LEFT JOIN revisions r
+  ON r.project_id = p.id
+ AND r.rev = (SELECT MAX(rev) FROM revisions WHERE project_id = p.id)
+`;
+
+function toListItem(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    revision: row.rev ?? 0,
+    boxCount: row.box_count ?? 0,
+    floorCount: row.floor_count ?? 0,
+    thumbnail: row.thumbnail ? JSON.parse(row.thumbnail) : null,
+  };
+}
+
+function toRevisionItem(row) {
+  return { rev: row.rev, message: row.message, createdAt: row.created_at };
+}
+
+export async function createSqliteStore({ filename }) {
+  const db = await openDatabase(filename);
+  db.exec("PRAGMA foreign_keys = ON;");
+  db.exec(SCHEMA);
+
+  // bases creadas antes de guardar miniaturas
+  const columns = db.prepare("PRAGMA table_info(revisions)").all().map((c) => c.name);
+  if (!columns.includes("thumbnail")) {
+    db.exec("ALTER TABLE revisions ADD COLUMN thumbnail TEXT");
+  }
+
+  const insertRevision = db.prepare(
+    `INSERT INTO revisions (project_id, rev, message, data, box_count, floor_count, thumbnail, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  function addRevisionRow(id, { data, message = "" }, now) {
+    const { last } = db
+      .prepare("SELECT COALESCE(MAX(rev), 0) AS last FROM revisions WHERE project_id = ?")
+      .get(id);
+    const summary = summarizeProject(data);
+
+    insertRevision.run(
+      id,
+      last + 1,
+      message,
+      JSON.stringify(data),
+      summary.boxCount,
+      summary.floorCount,
+      JSON.stringify(summary.thumbnail),
+      now
+    );
+
+    return { rev: last + 1, message, createdAt: now };
+  }
+
+  return {
+    kind: "sqlite",
+
+    async listProjects({ q = "" } = {}) {
+      const rows = q.trim()
+        ? db
+            .prepare(`${LIST_SQL} WHERE LOWER(p.name) LIKE ? ORDER BY p.updated_at DESC`)
+            .all(`%${q.trim().toLowerCase()}%`)
+        : db.prepare(`${LIST_SQL} ORDER BY p.updated_at DESC`).all();
+
+      return rows.map(toListItem);
+    },
+
+    async getProject(id) {
+      const row = db.prepare(`${LIST_SQL} WHERE p.id = ?`).get(id);
+      if (!row) return null;
+
+      const rev = db
+        .prepare("SELECT data FROM revisions WHERE project_id = ? AND rev = ?")
+        .get(id, row.rev ?? 0);
+
+      return { ...toListItem(row), data: rev ? JSON.parse(rev.data) : null };
+    },
+
+    async createProject({ name, data, message = "" }) {
+      const id = randomUUID();
+      const now = new Date().toISOString();
+
+      db.exec("BEGIN");
+      try {
+        db.prepare(
+          "INSERT INTO projects (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)"
+        ).run(id, name, now, now);
+        addRevisionRow(id, { data, message }, now);
+        db.exec("COMMIT");
+      } catch (error) {
+        db.exec("ROLLBACK");
+        throw error;
+      }
+
+      return this.getProject(id);
+    },
+
+    async renameProject(id, name) {
+      const result = db
+        .prepare("UPDATE projects SET name = ?, updated_at = ? WHERE id = ?")
+        .run(name, new Date().toISOString(), id);
+
+      return result.changes > 0 ? this.getProject(id) : null;
+    },
+
+    async deleteProject(id) {
+      return db.prepare("DELETE FROM projects WHERE id = ?").run(id).changes > 0;
+    },
+
+    async listRevisions(id) {
+      if (!db.prepare("SELECT 1 FROM projects WHERE id = ?").get(id)) return null;
+
+      return db
+        .prepare(
+          "SELECT rev, message, created_at FROM revisions WHERE project_id = ? ORDER BY rev DESC"
+        )
+        .all(id)
+        .map(toRevisionItem);
+    },
+
+    async getRevision(id, rev) {
+      const row = db
+        .prepare(
+          "SELECT rev, message, data, created_at FROM revisions WHERE project_id = ? AND rev = ?"
+        )
+        .get(id, rev);
+
+      return row ? { ...toRevisionItem(row), data: JSON.parse(row.data) } : null;
+    },
+
+    async addRevision(id, { data, message = "" }) {
+      if (!db.prepare("SELECT 1 FROM projects WHERE id = ?").get(id)) return null;
+
+      const now = new Date().toISOString();
+
+      db.exec("BEGIN");
+      try {
+        const item = addRevisionRow(id, { data, message }, now);
+        db.prepare("UPDATE projects SET updated_at = ? WHERE id = ?").run(now, id);
+        db.exec("COMMIT");
+        return item;
+      } catch (error) {
+        db.exec("ROLLBACK");
+        throw error;
+      }
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
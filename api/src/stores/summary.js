@@ -0,0 +1,42 @@
+// Datos livianos que se guardan junto a cada revisión para poder listar
+// proyectos sin cargar el JSON completo.
+
+const num = (v) => Math.round(Number(v) || 0);
+
+// primer piso del proyecto: cajas (centro, medidas, giro) y áreas de referencia
+function buildThumbnail(areas, floors, referenceAreas) {
+  const floorNumbers = [
+    ...floors.map((f) => Number(f?.floor)),
+    ...areas.map((a) => Number(a?.floor ?? 1)),
+  ].filter(Number.isFinite);
+
+  const floor = floorNumbers.length ? Math.min(...floorNumbers) : 1;
+
+  return {
+    floor,
+    boxes: areas
+      .filter((a) => Number(a?.floor ?? 1) === floor)
+      .map((a) => ({
+        x: num(a.x),
+        y: num(a.y),
+        w: num(a.w ?? 300),
+        h: num(a.h ?? 400),
+        rotationDeg: Number(a.rotationDeg) || 0,
+      })),
+    referenceAreas: referenceAreas
+      .filter((r) => Array.isArray(r?.points))
+      .map((r) => r.points.map((p) => ({ x: num(p.x), y: num(p.y) }))),
+  };
+}
+
+export function summarizeProject(data) {
+  const areas = Array.isArray(data?.areas) ? data.areas : [];
+  const floors = Array.isArray(data?.floors) ? data.floors : [];
+  const referenceAreas = Array.isArray(data?.referenceAreas) ? data.referenceAreas : [];
+
+  return {
+    boxCount: areas.length,
+    floorCount: floors.length,
+    thumbnail: buildThumbnail(areas, floors, referenceAreas),
+  };
+}
@@ -0,0 +1,149 @@
+// API completa contra el store en memoria (sin Docker ni base de datos).
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "../src/server.js";
+
+let app;
+let base;
+
+before(async () => {
+  app = await startServer({ STORE: "memory", PORT: "0" });
+  base = `http://localhost:${app.port}/api`;
+});
+
+after(async () => {
+  await app.close();
+});
+
+async function request(path, { method = "GET", body, raw } = {}) {
+  const res = await fetch(`${base}${path}`, {
+    method,
+    headers: body === undefined && raw === undefined ? undefined : { "Content-Type": "application/json" },
+    body: raw ?? (body === undefined ? undefined : JSON.stringify(body)),
+  });
+
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+const project = (x) => ({
+  meta: { format: "robot-project", version: 2 },
+  floors: [{ floor: 1, zBase: -900 }],
+  areas: [{ id: "b1", label: "B1", x, y: 0, floor: 1, w: 300, h: 400 }],
+  referenceAreas: [],
+  dimensions: [],
+});
+
+test("health", async () => {
+  const res = await request("/health");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true, store: "memory" });
+});
+
+test("crear, listar, guardar revisiones, duplicar y borrar", async () => {
+  const created = await request("/projects", {
+    method: "POST",
+    body: { name: "Celda A", data: project(100), message: "inicial" },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.name, "Celda A");
+  assert.equal(created.body.revision, 1);
+  assert.equal(created.body.boxCount, 1);
+
+  const { id } = created.body;
+
+  const list = await request("/projects?q=celda");
+  assert.equal(list.status, 200);
+  assert.ok(list.body.some((p) => p.id === id));
+  assert.ok(list.body.find((p) => p.id === id).thumbnail);
+
+  const empty = await request("/projects?q=no-existe");
+  assert.deepEqual(empty.body, []);
+
+  // renombrar y guardar revisión en la misma llamada
+  const updated = await request(`/projects/${id}`, {
+    method: "PUT",
+    body: { name: "Celda B", data: project(200), message: "movida" },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.name, "Celda B");
+  assert.equal(updated.body.revision, 2);
+  assert.equal(updated.body.data.areas[0].x, 200);
+
+  const added = await request(`/projects/${id}/revisions`, {
+    method: "POST",
+    body: { data: project(300) },
+  });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.rev, 3);
+
+  const revisions = await request(`/projects/${id}/revisions`);
+  assert.deepEqual(revisions.body.map((r) => r.rev), [3, 2, 1]);
+  assert.equal(revisions.body[1].message, "movida");
+
+  const first = await request(`/projects/${id}/revisions/1`);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.areas[0].x, 100);
+
+  const copy = await request(`/projects/${id}/duplicate`, { method: "POST" });
+  assert.equal(copy.status, 201);
+  assert.notEqual(copy.body.id, id);
+  assert.equal(copy.body.name, "Celda B (copia)");
+  assert.equal(copy.body.data.areas[0].x, 300);
+
+  const removed = await request(`/projects/${id}`, { method: "DELETE" });
+  assert.equal(removed.status, 204);
+  assert.equal((await request(`/projects/${id}`)).status, 404);
+  assert.equal((await request(`/projects/${copy.body.id}`)).status, 200);
+});
+
+test("PUT inválido no modifica el proyecto", async () => {
+  const { body } = await request("/projects", {
+    method: "POST",
+    body: { name: "Intacto", data: project(1) },
+  });
+
+  const res = await request(`/projects/${body.id}`, {
+    method: "PUT",
+    body: { name: "Nuevo", data: [] },
+  });
+  assert.equal(res.status, 400);
+
+  const current = await request(`/projects/${body.id}`);
+  assert.equal(current.body.name, "Intacto");
+  assert.equal(current.body.revision, 1);
+});
+
+test("errores: 404, 405, 400", async () => {
+  assert.equal((await request("/projects/no-existe")).status, 404);
+  assert.equal((await request("/projects/no-existe/revisions")).status, 404);
+  assert.equal((await request("/projects/no-existe/revisions/1")).status, 404);
+  assert.equal((await request("/nada")).status, 404);
+
+  assert.equal((await request("/projects", { method: "DELETE" })).status, 405);
+
+  const badJson = await request("/projects", { method: "POST", raw: "{ no es json" });
+  assert.equal(badJson.status, 400);
+  assert.match(badJson.body.error, /JSON inválido/);
+
+  for (const raw of ["null", "[]", "42"]) {
+    const res = await request("/projects", { method: "POST", raw });
+    assert.equal(res.status, 400, raw);
+  }
+
+  const { body: target } = await request("/projects", { method: "POST", body: { name: "y", data: project(1) } });
+  assert.equal((await request(`/projects/${target.id}`, { method: "PUT", raw: "null" })).status, 400);
+
+  const noRevision = await request(`/projects/${target.id}/revisions/99`);
+  assert.equal(noRevision.status, 404);
+  assert.equal(noRevision.body.error, "Revisión no encontrada.");
+
+  const noName = await request("/projects", { method: "POST", body: { data: project(1) } });
+  assert.equal(noName.status, 400);
+
+  const noData = await request("/projects", { method: "POST", body: { name: "x" } });
+  assert.equal(noData.status, 400);
+
+  const badEscape = await request("/projects/%E0%A4%A");
+  assert.equal(badEscape.status, 400);
+});
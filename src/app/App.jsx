@@ -2,6 +2,7 @@
 import React from "react";
 import CartesianPlayground from "../../ui/src/pages/CartesianPlayground";
 import Robot3DWindow from "../../ui/src/pages/Robot3DWindow";
+import ProjectLibrary from "../../ui/src/pages/ProjectLibrary";
 import { Routes, Route } from "react-router-dom";
 
 export default function App() {
@@ -9,6 +10,8 @@ export default function App() {
     <Routes>
       <Route path="/" element={<CartesianPlayground />} />
       <Route path="/robot-3d" element={<Robot3DWindow />} />
+      <Route path="/projects" element={<ProjectLibrary />} />
+      <Route path="/project/:projectId" element={<CartesianPlayground />} />
     </Routes>
   );
 }
\ No newline at end of file
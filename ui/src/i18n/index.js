@@ -15,8 +15,22 @@ export const messages = {
     X: "X",
     Y: "Y",
     height: "H",
+    boxHeight: "Z",
     add: "Agregar",
 
+    patternTitle: "Generar patrón de pallet",
+    referenceArea: "Área",
+    pattern: "Patrón",
+    gap: "Sep.",
+    replaceFloorItems: "Reemplazar piso",
+    generatePattern: "Generar patrón",
+    patternNames: {
+      column: "Columna",
+      brick: "Ladrillo",
+      pinwheel: "Molinete",
+      "split-row": "Fila dividida",
+    },
+
     manageItemsTitle: "Gestionar items agregadas",
     manageItemsNoItems: "No hay áreas azules para ese piso",
     all: "Todos",
@@ -35,16 +49,88 @@ export const messages = {
     formatLine: "Formato por línea:",
     applyAreas: "Aplicar áreas",
     loadedAreas: "áreas cargadas",
+    polygonLabel: "Nombre",
+    drawPolygon: "Dibujar área",
+    cancelPolygon: "Cancelar dibujo",
+    closePolygon: "Cerrar",
+    polygonDrawHint: "Clic para agregar vértices; clic en el primero para cerrar.",
+    editVertices: "Editar vértices",
+    vertexEditHint: "Arrastra un vértice para moverlo, el cuadrito de un borde para insertar uno y clic derecho (o Alt+clic) para borrarlo.",
+
+    // --- CELDA ---
+    cellProfileTitle: "Perfil de celda",
+    cellProfileName: "Nombre",
+    resetDefaults: "Valores por defecto",
+    cellProfileFields: {
+      palletOffsetX: "Offset X pallet",
+      palletOffsetY: "Offset Y pallet (PL/PR)",
+      refY: "Altura de espera (refY)",
+      itemSafeZ: "Z seguro al soltar",
+      transitionLiftZ: "Subida de transición",
+      defaultZBase: "Z base piso 1",
+      robotBaseX: "Base robot X",
+      robotBaseY: "Base robot Y",
+      reachRadiusMm: "Radio de alcance",
+      minReachRadiusMm: "Radio mínimo",
+      minZ: "Z mínima",
+      maxZ: "Z máxima",
+    },
 
     // --- LUA ---
     luaTitle: "Generar LUA",
     generateSequence: "Generar secuencia Piso",
-    exportLua: "Exportar LUA (.txt)",
+    exportLua: "Exportar programa",
+    programTarget: "Destino",
 
     // --- PROYECTOS ---
     projectsTitle: "Proyectos (importar y exportar)",
     saveProject: "Guardar proyecto (.json)",
-    loadProject: "Cargar proyecto (.json)",
+    loadProject: "Cargar proyecto (.json / .lua / .csv)",
+    luaLine: "línea",
+    luaZBaseAssumed: "El Lua no separa zBase del alto de caja; se supone que la caja más baja mide",
+    luaMixedHeights: "El piso tiene cajas de distinto alto: revisa zBase y alturas después de importar.",
+    exportBoxesCsv: "Exportar cajas (.csv)",
+    csvRow: "fila",
+    csvIgnoredColumn: "columna no reconocida, se ignora.",
+    csvDecimalComma: "Se detectó coma decimal.",
+    serverTitle: "Servidor",
+    projectName: "Nombre del proyecto",
+    saveToServer: "Guardar",
+    saveRevision: "Guardar revisión",
+    saveAsNew: "Como nuevo",
+    refresh: "Actualizar",
+    openProject: "Abrir",
+    rename: "Renombrar",
+    libraryTitle: "Biblioteca de proyectos",
+    librarySearch: "Buscar por nombre…",
+    libraryBackToEditor: "← Editor",
+    libraryRecent: "Recientes",
+    libraryLoading: "Cargando proyectos…",
+    libraryEmpty: "No hay proyectos guardados en el servidor.",
+    libraryUpdated: "Modificado",
+    libraryDeleteConfirm: "¿Eliminar el proyecto",
+    autosave: "Autoguardado",
+    autosaveNow: "Guardar snapshot",
+    autosaveLast: "Último autoguardado",
+    recentSnapshots: "Snapshots recientes",
+    noSnapshots: "Todavía no hay snapshots.",
+    restore: "Restaurar",
+    discard: "Descartar",
+    restoreSessionTitle: "Restaurar la última sesión",
+    restoreSessionText: "Hay un autoguardado del",
+    boxesShort: "cajas",
+    floorsShort: "pisos",
+    referenceAreasShort: "áreas",
+    dimensionsShort: "cotas",
+    importPreviewTitle: "Vista previa de importación",
+    schemaVersion: "Versión del archivo",
+    migrations: "migraciones",
+    importErrors: "Errores (no se puede importar)",
+    importDropped: "Se descartan",
+    importClamped: "Se recortan al workspace",
+    importWarnings: "Avisos",
+    importApply: "Importar",
+    cancel: "Cancelar",
 
     // --- DRAG MODE ---
     dragModeTitle: "Modo de arrastre",
@@ -52,13 +138,141 @@ export const messages = {
     group: "Grupal",
     dragUnitDesc: "Unitario: mueve una caja.",
     dragGroupDesc: "Grupal: mueve todo el piso.",
+    objectSnap: "Imán a cajas y áreas",
+
+    // --- MEDIDA ---
+    measure: "Medir",
+    measureHint: "Clic en dos puntos (se enganchan a esquinas y bordes).",
+    dimensionLabel: "Nombre de la cota",
+    saveDimension: "Guardar cota",
+
+    // --- ATAJOS ---
+    shortcutsTitle: "Atajos",
+    shortcutList: [
+      ["← → ↑ ↓", "Mover la selección un paso de grilla (canvas activo)"],
+      ["Shift + flechas", "Mover la selección ×10"],
+      ["R", "Rotar la selección"],
+      ["Supr", "Eliminar la selección"],
+      ["RePág / AvPág", "Piso activo siguiente / anterior (canvas activo)"],
+      ["Esc", "Quitar selección, medida y dibujo"],
+      ["Enter", "Cerrar el área en dibujo"],
+      ["Ctrl + Z / Ctrl + Shift + Z", "Deshacer / rehacer"],
+      ["Ctrl + C / Ctrl + V", "Copiar / pegar cajas"],
+      ["?", "Mostrar u ocultar esta ayuda"],
+    ],
 
     // --- 3D ---
     view3D: "Ver 3D en pantalla grande (aparte)",
+    collisionClearance: "Holgura mínima entre cajas (mm)",
+
+    stabilityTitle: "Apoyo entre pisos",
+    supportThreshold: "Apoyo mínimo (%)",
+    stabilityScore: "Estabilidad",
+    onPallet: "sobre pallet",
+    unstableBoxes: "Cajas con poco apoyo",
+    allBoxesSupported: "Todas las cajas tienen apoyo suficiente.",
+
+    // --- REPRODUCCIÓN 3D ---
+    play: "Reproducir",
+    pause: "Pausa",
+    playbackSteps: {
+      transition: "transición",
+      wait: "espera",
+      place: "dejar",
+      release: "soltar",
+      safe: "seguridad",
+    },
+
+    // --- SELECCIÓN ---
+    selectedCount: "Seleccionadas",
+    clearSelection: "Quitar selección",
+    selectionHint: "Shift/Ctrl + clic para sumar cajas; Shift + arrastrar sobre el fondo para seleccionar por área.",
+    copy: "Copiar",
+    clipboard: "Portapapeles",
+    pasteOnFloor: "Pegar en piso",
+    arrayTitle: "Matriz",
+    arrayCols: "Columnas (X)",
+    arrayRows: "Filas (Y)",
+    pitch: "Paso",
+    duplicate: "Duplicar",
+    alignTitle: "Alinear",
+    distributeTitle: "Distribuir",
+    distributeX: "Distribuir en X con huecos iguales",
+    distributeY: "Distribuir en Y con huecos iguales",
+    alignToReference: "Contra borde de",
+    alignModes: {
+      left: "Izquierda",
+      right: "Derecha",
+      top: "Arriba",
+      bottom: "Abajo",
+      centerX: "Centro horizontal",
+      centerY: "Centro vertical",
+    },
+
+    // --- HISTORIAL ---
+    historyTitle: "Historial",
+    undo: "Deshacer",
+    redo: "Rehacer",
+    historyActions: {
+      initial: "Estado inicial",
+      edit: "Edición",
+      addBox: "Agregar caja",
+      deleteBox: "Eliminar caja",
+      editBox: "Editar caja",
+      rotate: "Rotar caja",
+      dragBox: "Mover caja",
+      dragFloor: "Mover piso",
+      dragSelection: "Mover selección",
+      rotateSelection: "Rotar selección",
+      deleteSelection: "Eliminar selección",
+      floorSelection: "Cambiar piso de selección",
+      resizeSelection: "Medidas de selección",
+      arrayDuplicate: "Duplicar en matriz",
+      paste: "Pegar cajas",
+      align: "Alinear",
+      distribute: "Distribuir",
+      alignToReference: "Alinear a referencia",
+      nudge: "Desplazar con teclado",
+      moveFloor: "Mover ítems de piso",
+      spacing: "Separación del piso",
+      cloneFloor: "Clonar piso",
+      saveFloor: "Guardar piso",
+      deleteFloor: "Eliminar piso",
+      pattern: "Generar patrón",
+      referenceAreas: "Áreas de referencia",
+      drawReference: "Dibujar área",
+      editVertex: "Editar vértices",
+      addDimension: "Agregar cota",
+      deleteDimension: "Eliminar cota",
+      sequence: "Secuencia del piso",
+      importProject: "Importar proyecto",
+      restoreSnapshot: "Restaurar snapshot",
+      openRemoteProject: "Abrir desde servidor",
+    },
+
+    // --- SECUENCIA ---
+    sequenceTitle: "Secuencia de colocación",
+    sequenceStrategy: "Estrategia",
+    palletCorner: "Esquina",
+    palletCorners: {
+      "minX-minY": "X− / Y−",
+      "minX-maxY": "X− / Y+",
+      "maxX-minY": "X+ / Y−",
+      "maxX-maxY": "X+ / Y+",
+    },
+    noFloorBoxes: "No hay cajas en este piso.",
+    sequenceStrategies: {
+      label: "Por etiqueta",
+      "far-to-near": "Lejos a cerca del robot",
+      "row-major": "Por filas desde esquina",
+      "nearest-neighbour": "Vecino más cercano",
+      manual: "Manual",
+    },
 
     editorTitle: "Caja",
     apply: "Aplicar",
     rotate: "Girar",
+    rotation: "Rot°",
     delete: "Eliminar",
   },
 
@@ -78,8 +292,22 @@ export const messages = {
     Y: "Y",
     width: "W",
     height: "H",
+    boxHeight: "Z",
     add: "Add",
 
+    patternTitle: "Generate pallet pattern",
+    referenceArea: "Area",
+    pattern: "Pattern",
+    gap: "Gap",
+    replaceFloorItems: "Replace floor",
+    generatePattern: "Generate pattern",
+    patternNames: {
+      column: "Column",
+      brick: "Brick",
+      pinwheel: "Pinwheel",
+      "split-row": "Split row",
+    },
+
     manageItemsTitle: "Manage added items",
     manageItemsNoItems: "There is not items created yet",
     all: "All",
@@ -97,26 +325,225 @@ export const messages = {
     formatLine: "Format per line:",
     applyAreas: "Apply areas",
     loadedAreas: "loaded areas",
+    polygonLabel: "Name",
+    drawPolygon: "Draw area",
+    cancelPolygon: "Cancel drawing",
+    closePolygon: "Close",
+    polygonDrawHint: "Click to add vertices; click the first one to close.",
+    editVertices: "Edit vertices",
+    vertexEditHint: "Drag a vertex to move it, drag an edge square to insert one, right-click (or Alt+click) to delete it.",
+
+    cellProfileTitle: "Cell profile",
+    cellProfileName: "Name",
+    resetDefaults: "Defaults",
+    cellProfileFields: {
+      palletOffsetX: "Pallet offset X",
+      palletOffsetY: "Pallet offset Y (PL/PR)",
+      refY: "Wait height (refY)",
+      itemSafeZ: "Safe Z after release",
+      transitionLiftZ: "Transition lift",
+      defaultZBase: "Floor 1 Z base",
+      robotBaseX: "Robot base X",
+      robotBaseY: "Robot base Y",
+      reachRadiusMm: "Reach radius",
+      minReachRadiusMm: "Minimum radius",
+      minZ: "Minimum Z",
+      maxZ: "Maximum Z",
+    },
 
     luaTitle: "Generate LUA",
     generateSequence: "Generate sequence Floor",
-    exportLua: "Export LUA (.txt)",
+    exportLua: "Export program",
+    programTarget: "Target",
 
     projectsTitle: "Projects (import & export)",
     saveProject: "Save project (.json)",
-    loadProject: "Load project (.json)",
+    loadProject: "Load project (.json / .lua / .csv)",
+    luaLine: "line",
+    luaZBaseAssumed: "Lua does not separate zBase from box height; the lowest box is assumed to be",
+    luaMixedHeights: "This floor has boxes of different heights: check zBase and heights after importing.",
+    exportBoxesCsv: "Export boxes (.csv)",
+    csvRow: "row",
+    csvIgnoredColumn: "unrecognized column, ignored.",
+    csvDecimalComma: "Decimal comma detected.",
+    serverTitle: "Server",
+    projectName: "Project name",
+    saveToServer: "Save",
+    saveRevision: "Save revision",
+    saveAsNew: "As new",
+    refresh: "Refresh",
+    openProject: "Open",
+    rename: "Rename",
+    libraryTitle: "Project library",
+    librarySearch: "Search by name…",
+    libraryBackToEditor: "← Editor",
+    libraryRecent: "Recent",
+    libraryLoading: "Loading projects…",
+    libraryEmpty: "No projects saved on the server.",
+    libraryUpdated: "Modified",
+    libraryDeleteConfirm: "Delete project",
+    autosave: "Autosave",
+    autosaveNow: "Save snapshot",
+    autosaveLast: "Last autosave",
+    recentSnapshots: "Recent snapshots",
+    noSnapshots: "No snapshots yet.",
+    restore: "Restore",
+    discard: "Discard",
+    restoreSessionTitle: "Restore last session",
+    restoreSessionText: "There is an autosave from",
+    boxesShort: "boxes",
+    floorsShort: "floors",
+    referenceAreasShort: "areas",
+    dimensionsShort: "dimensions",
+    importPreviewTitle: "Import preview",
+    schemaVersion: "File version",
+    migrations: "migrations",
+    importErrors: "Errors (cannot import)",
+    importDropped: "Dropped",
+    importClamped: "Clamped to the workspace",
+    importWarnings: "Warnings",
+    importApply: "Import",
+    cancel: "Cancel",
 
     dragModeTitle: "Drag mode",
     unitary: "Unitary",
     group: "Group",
     dragUnitDesc: "Unitary: moves one box.",
     dragGroupDesc: "Group: moves entire floor.",
+    objectSnap: "Snap to boxes and areas",
+
+    // --- MEASURE ---
+    measure: "Measure",
+    measureHint: "Click two points (they snap to corners and edges).",
+    dimensionLabel: "Dimension name",
+    saveDimension: "Save dimension",
+
+    // --- SHORTCUTS ---
+    shortcutsTitle: "Shortcuts",
+    shortcutList: [
+      ["← → ↑ ↓", "Nudge selection one grid step (canvas active)"],
+      ["Shift + arrows", "Nudge selection ×10"],
+      ["R", "Rotate selection"],
+      ["Del", "Delete selection"],
+      ["PgUp / PgDn", "Next / previous active floor (canvas active)"],
+      ["Esc", "Clear selection, measure and drawing"],
+      ["Enter", "Close the area being drawn"],
+      ["Ctrl + Z / Ctrl + Shift + Z", "Undo / redo"],
+      ["Ctrl + C / Ctrl + V", "Copy / paste boxes"],
+      ["?", "Show or hide this help"],
+    ],
 
     view3D: "View 3D in separate window",
+    collisionClearance: "Minimum clearance between boxes (mm)",
+
+    stabilityTitle: "Support between floors",
+    supportThreshold: "Minimum support (%)",
+    stabilityScore: "Stability",
+    onPallet: "on pallet",
+    unstableBoxes: "Poorly supported boxes",
+    allBoxesSupported: "All boxes have enough support.",
+
+    // --- 3D PLAYBACK ---
+    play: "Play",
+    pause: "Pause",
+    playbackSteps: {
+      transition: "transition",
+      wait: "wait",
+      place: "place",
+      release: "release",
+      safe: "safe",
+    },
+
+    // --- SELECTION ---
+    selectedCount: "Selected",
+    clearSelection: "Clear selection",
+    selectionHint: "Shift/Ctrl + click to add boxes; Shift + drag on the background to select by area.",
+    copy: "Copy",
+    clipboard: "Clipboard",
+    pasteOnFloor: "Paste on floor",
+    arrayTitle: "Array",
+    arrayCols: "Columns (X)",
+    arrayRows: "Rows (Y)",
+    pitch: "Pitch",
+    duplicate: "Duplicate",
+    alignTitle: "Align",
+    distributeTitle: "Distribute",
+    distributeX: "Distribute along X with equal gaps",
+    distributeY: "Distribute along Y with equal gaps",
+    alignToReference: "Against edge of",
+    alignModes: {
+      left: "Left",
+      right: "Right",
+      top: "Top",
+      bottom: "Bottom",
+      centerX: "Horizontal center",
+      centerY: "Vertical center",
+    },
+
+    // --- HISTORY ---
+    historyTitle: "History",
+    undo: "Undo",
+    redo: "Redo",
+    historyActions: {
+      initial: "Initial state",
+      edit: "Edit",
+      addBox: "Add box",
+      deleteBox: "Delete box",
+      editBox: "Edit box",
+      rotate: "Rotate box",
+      dragBox: "Move box",
+      dragFloor: "Move floor",
+      dragSelection: "Move selection",
+      rotateSelection: "Rotate selection",
+      deleteSelection: "Delete selection",
+      floorSelection: "Change selection floor",
+      resizeSelection: "Selection size",
+      arrayDuplicate: "Array duplicate",
+      paste: "Paste boxes",
+      align: "Align",
+      distribute: "Distribute",
+      alignToReference: "Align to reference",
+      nudge: "Keyboard nudge",
+      moveFloor: "Move floor items",
+      spacing: "Floor spacing",
+      cloneFloor: "Clone floor",
+      saveFloor: "Save floor",
+      deleteFloor: "Delete floor",
+      pattern: "Generate pattern",
+      referenceAreas: "Reference areas",
+      drawReference: "Draw area",
+      editVertex: "Edit vertices",
+      addDimension: "Add dimension",
+      deleteDimension: "Delete dimension",
+      sequence: "Floor sequence",
+      importProject: "Import project",
+      restoreSnapshot: "Restore snapshot",
+      openRemoteProject: "Open from server",
+    },
+
+    // --- SEQUENCE ---
+    sequenceTitle: "Placement sequence",
+    sequenceStrategy: "Strategy",
+    palletCorner: "Corner",
+    palletCorners: {
+      "minX-minY": "X− / Y−",
+      "minX-maxY": "X− / Y+",
+      "maxX-minY": "X+ / Y−",
+      "maxX-maxY": "X+ / Y+",
+    },
+    noFloorBoxes: "There are no boxes on this floor.",
+    sequenceStrategies: {
+      label: "By label",
+      "far-to-near": "Far to near the robot",
+      "row-major": "Rows from corner",
+      "nearest-neighbour": "Nearest neighbour",
+      manual: "Manual",
+    },
 
     editorTitle: "Box",
     apply: "Apply",
     rotate: "Rotate",
+    rotation: "Rot°",
     delete: "Delete",
   },
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 //CartesianPlayground.jsx
 import React, { useEffect, useMemo, useRef, useState } from "react"; 
+import { Link, useParams } from "react-router-dom";
 import RobotScene3D from "./RobotScene3D";
 import { messages } from "../i18n";
 
@@ -15,8 +16,47 @@ import {
   getNextBlueLabel,
   labelBoxForValue,
 } from "../utils/labels";
-import { sortBlueAreasForList, sortBoxesForLua } from "../utils/sorting";
-import { clamp, snapToStep, getNextFloorNumber, getSuggestedFloorZBase } from "../utils/workspace";
+import { sortBlueAreasForList } from "../utils/sorting";
+import { PALLET_PATTERNS, generatePalletPattern } from "../utils/patterns";
+import { detectFloorCollisions } from "../utils/collisions";
+import { computeFloorSupport } from "../utils/stability";
+import { arrayOffsets, duplicateAreas } from "../utils/duplicate";
+import { computeObjectSnap } from "../utils/snapping";
+import { measureBetween, snapMeasurePoint } from "../utils/measure";
+import {
+  MIN_POLYGON_POINTS,
+  deleteVertex,
+  edgeMidpoints,
+  insertVertex,
+  moveVertex,
+  replaceAreaLine,
+} from "../utils/polygonEdit";
+import {
+  ALIGN_MODES,
+  REFERENCE_EDGES,
+  alignAreas,
+  alignAreasToEdge,
+  areaBounds,
+  distributeAreas,
+  translateAreas,
+} from "../utils/align";
+import {
+  createHistory,
+  isSameSnapshot,
+  jumpHistory,
+  listHistory,
+  pushHistory,
+  redoHistory,
+  undoHistory,
+} from "../utils/history";
+import {
+  clamp,
+  snapToStep,
+  getNextFloorNumber,
+  getSuggestedFloorZBase,
+  getBoxHeightMm,
+  DEFAULT_BOX_HEIGHT_MM,
+} from "../utils/workspace";
 import {
   rotatePointAroundCenter,
   rotatePolygon,
@@ -27,6 +67,7 @@ import {
   rectAreaFromCenter,
   getAreaCenter,
   getAreaBBoxSize,
+  getAreaBaseSize,
   getRotationDeg,
 } from "../utils/geometry";
 
@@ -35,29 +76,75 @@ import {
   downloadJsonFile,
   exportProjectData,
   importProjectData,
+  createRemoteProject,
+  getRemoteProject,
+  getRemoteRevision,
+  listRemoteProjects,
+  listRemoteRevisions,
+  updateRemoteProject,
+  rememberRecentProject,
 } from "../services/projectService";
+import { PROJECT_FORMAT, previewProjectImport } from "../services/projectSchema";
+import { parseFairinoLua } from "../services/luaImport";
+import { boxCsvToProject, buildBoxCsv, parseBoxCsv } from "../services/boxCsv";
+import {
+  AUTOSAVE_INTERVAL_MS,
+  deleteSnapshot,
+  getSnapshot,
+  isAutosaveAvailable,
+  listSnapshots,
+  saveSnapshot,
+} from "../services/autosaveService";
 
 import {
-  generateLuaFloor,
-  generateLuaAllFloors,
-} from "../services/luaService";
+  buildMotionPlanAllFloors,
+  collectBoxesByFloor,
+} from "../services/motionPlan";
+import {
+  PALLET_CORNERS,
+  SEQUENCE_STRATEGIES,
+  normalizeSequence,
+} from "../utils/sequencing";
+import { listPostProcessors, renderRobotProgram } from "../services/postProcessors";
 
 
 import { buildFairinoProject } from "../services/fairinoAdapter";
+import {
+  DEFAULT_CELL_PROFILE,
+  CELL_PROFILE_NUMERIC_FIELDS,
+  normalizeCellProfile,
+} from "../services/cellProfile";
 
 
 
 
 function syncRotationWithY(currentRotation, centerY) {
-  const rot = Number(currentRotation) || 0;
+  const rot = normalizeRotationDeg(currentRotation);
   const y = Number(centerY) || 0;
 
-  // si no está girado, no tocar
-  if (rot === 0) return 0;
+  // si no está girado (o está a 180), no tocar
+  if (rot === 0 || rot === 180) return rot;
 
-  if (y > 0) return -90;
-  if (y < 0) return 90;
-  return 0;
+  // la herramienta se voltea al cruzar Y=0: se espeja el signo del ángulo
+  if (y > 0) return -Math.abs(rot);
+  if (y < 0) return Math.abs(rot);
+  return rot;
+}
+
+// aplica syncRotationWithY y gira los puntos si el ángulo cambió
+function applyRotationSync(points, rotationDeg, limits) {
+  const current = normalizeRotationDeg(rotationDeg);
+  const center = findInteriorPoint(points);
+  const next = syncRotationWithY(current, center.y);
+
+  if (next === current) return { points, rotationDeg: current };
+
+  const rotated = rotatePolygon(points, next - current).map((p) => ({
+    x: clamp(p.x, limits.minX, limits.maxX),
+    y: clamp(p.y, limits.minY, limits.maxY),
+  }));
+
+  return { points: rotated, rotationDeg: next };
 }
 
 
@@ -112,22 +199,12 @@ function frontXToSvg(xMm) {
 
 
   function nextRotationDeg(current, y) {
-    const r = Number(current) || 0;
+    const r = normalizeRotationDeg(current);
     const yVal = Number(y) || 0;
 
-    if (yVal > 0) {
-      if (r === 0) return -90;
-      if (r === -90) return 0;
-      return 0;
-    }
-
-    if (yVal < 0) {
-      if (r === 0) return 90;
-      if (r === 90) return 0;
-      return 0;
-    }
-
-    return 0;
+    // pasos de 90°, en el sentido que corresponde al lado del robot
+    if (yVal > 0) return normalizeRotationDeg(r - 90);
+    return normalizeRotationDeg(r + 90);
   }
 
 function getRotationFromY(y) {
@@ -222,6 +299,7 @@ function normalizeReferencePoints(rawPoints) {
 
 
 export default function CartesianPlayground() {
+  const { projectId } = useParams();
 
 
 
@@ -233,28 +311,262 @@ function exportFairinoLuaFile() {
     return;
   }
 
+  if (hasCollidingBoxes) {
+    alert("Hay cajas que se solapan en el mismo piso. Corrige eso antes de exportar LUA.");
+    return;
+  }
+
   const result = buildFairinoLuaFile({
     paintAreas,
     floorDefs,
+    cellProfile,
   });
 
   downloadTextFile(result.filename, result.content);
 }
   
-function exportProjectToJson() {
-  const projectData = exportProjectData({
+function currentProjectData() {
+  return exportProjectData({
     paintAreas,
     floorDefs,
     areaSummaryPointMm,
+    cellProfile,
+    dimensions,
+  });
+}
+
+function exportProjectToJson() {
+  downloadJsonFile("proyecto_robot.json", currentProjectData());
+}
+
+function applyImportedProject(rawText, action = "importProject") {
+  const imported = importProjectData({
+    rawText,
+    limits,
+    formatAreaCSVLine,
   });
 
-  downloadJsonFile("proyecto_robot.json", projectData);
+  markHistory(action);
+  setFloorDefs(imported.floorDefs);
+  setPaintAreas(imported.paintAreas);
+  setNewLabel(imported.nextLabel);
+  setPaintAreasText(imported.paintAreasText);
+  if (imported.cellProfile) setCellProfile(imported.cellProfile);
+  setDimensions(imported.dimensions ?? []);
+  setSelectedAreaIds([]);
 }
   
+async function runRemote(task) {
+  setRemoteBusy(true);
+  setRemoteStatus({ error: "", message: "" });
+
+  try {
+    await task();
+  } catch (error) {
+    console.error("Error en la API de proyectos:", error);
+    setRemoteStatus({ error: error.message, message: "" });
+  } finally {
+    setRemoteBusy(false);
+  }
+}
+
+async function refreshRemoteProjects() {
+  await runRemote(async () => {
+    const list = await listRemoteProjects();
+    setRemoteProjects(list);
+    if (!list.some((p) => p.id === remoteSelectedId)) {
+      setRemoteSelectedId(list[0]?.id ?? "");
+    }
+  });
+}
+
+async function refreshRemoteRevisions(id = remoteProjectId) {
+  if (!id) {
+    setRemoteRevisions([]);
+    return;
+  }
+  setRemoteRevisions(await listRemoteRevisions(id));
+}
+
+// con proyecto abierto se guarda como revisión nueva; `asNew` fuerza un proyecto nuevo
+async function saveProjectToServer({ asNew = false } = {}) {
+  const name = remoteName.trim();
+  if (!name) {
+    setRemoteStatus({ error: "Indica un nombre para el proyecto.", message: "" });
+    return;
+  }
+
+  await runRemote(async () => {
+    const data = currentProjectData();
+    const saved =
+      remoteProjectId && !asNew
+        ? await updateRemoteProject(remoteProjectId, { name, data })
+        : await createRemoteProject({ name, data });
+
+    setRemoteProjectId(saved.id);
+    rememberRecentProject(saved);
+    setRemoteStatus({ error: "", message: `${saved.name} · rev ${saved.revision}` });
+    await refreshRemoteRevisions(saved.id);
+  });
+}
+
+async function openRemoteProject(id) {
+  if (!id) return;
+
+  await runRemote(async () => {
+    const project = await getRemoteProject(id);
+    applyImportedProject(JSON.stringify(project.data), "openRemoteProject");
+
+    setRemoteProjectId(project.id);
+    setRemoteName(project.name);
+    rememberRecentProject(project);
+    setRemoteStatus({ error: "", message: `${project.name} · rev ${project.revision}` });
+    await refreshRemoteRevisions(project.id);
+  });
+}
+
+// /project/:projectId abre el proyecto del servidor
+useEffect(() => {
+  if (projectId && projectId !== remoteProjectId) openRemoteProject(projectId);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, [projectId]);
+
+async function openRemoteRevision(rev) {
+  await runRemote(async () => {
+    const revision = await getRemoteRevision(remoteProjectId, rev);
+    applyImportedProject(JSON.stringify(revision.data), "openRemoteProject");
+    setRemoteStatus({ error: "", message: `${remoteName} · rev ${revision.rev}` });
+  });
+}
+
+// primero se muestra la vista previa (versión, recortes, descartes); se aplica al confirmar
+async function importProjectFromFile(file) {
+  if (!file) return;
+
+  try {
+    if (/\.lua$/i.test(file.name)) {
+      await importLuaFromFile(file);
+      return;
+    }
+
+    if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+      await importBoxCsvFromFile(file);
+      return;
+    }
+
+    const rawText = await file.text();
+    setImportPreview({
+      fileName: file.name,
+      rawText,
+      result: previewProjectImport({ rawText, limits }),
+    });
+  } catch (error) {
+    console.error("Error importando proyecto:", error);
+    alert(`No se pudo cargar el proyecto: ${error.message}`);
+  }
+}
+
+// el Lua reemplaza cajas y pisos; las áreas de referencia y cotas actuales se conservan
+async function importLuaFromFile(file) {
+  const { project, unparsed, assumptions } = parseFairinoLua(await file.text(), {
+    cellProfile,
+    boxW: Number(newW) || 300,
+    boxH: Number(newH) || 400,
+  });
+
+  const current = currentProjectData();
+  const rawText = JSON.stringify({
+    ...project,
+    referenceAreas: current.referenceAreas,
+    dimensions: current.dimensions,
+  });
+  const result = previewProjectImport({ rawText, limits });
+
+  setImportPreview({
+    fileName: file.name,
+    rawText,
+    result: {
+      ...result,
+      fromVersion: null,
+      warnings: [
+        ...assumptions.map((a) => ({
+          path: `P${a.floor}`,
+          message:
+            `${t.luaZBaseAssumed} ${a.boxHeightMm} mm → zBase ${a.zBase}.` +
+            (a.mixedHeights ? ` ${t.luaMixedHeights}` : ""),
+        })),
+        ...unparsed.map((u) => ({
+          path: `${t.luaLine} ${u.line}`,
+          message: `${u.reason} ${u.text}`,
+        })),
+        ...result.warnings,
+      ],
+    },
+  });
+}
+
+// el CSV reemplaza solo las cajas; las filas con error se listan como descartadas
+async function importBoxCsvFromFile(file) {
+  const parsed = parseBoxCsv(await file.text());
+  const current = currentProjectData();
+
+  const rawText = JSON.stringify(
+    boxCsvToProject({
+      boxes: parsed.boxes,
+      floorDefs,
+      referenceAreas: current.referenceAreas,
+      dimensions: current.dimensions,
+      cellProfile,
+    })
+  );
+  const result = previewProjectImport({ rawText, limits });
+
+  setImportPreview({
+    fileName: file.name,
+    rawText,
+    result: {
+      ...result,
+      ok: result.ok && !parsed.error,
+      fromVersion: null,
+      errors: parsed.error ? [{ path: "", message: parsed.error }, ...result.errors] : result.errors,
+      dropped: [
+        ...parsed.errors.map((e) => ({ path: `${t.csvRow} ${e.row}`, label: e.label, reason: e.message })),
+        ...result.dropped,
+      ],
+      warnings: [
+        ...parsed.ignoredColumns.map((c) => ({ path: c, message: t.csvIgnoredColumn })),
+        ...(parsed.decimalComma ? [{ path: "", message: t.csvDecimalComma }] : []),
+        ...result.warnings,
+      ],
+    },
+  });
+}
+
+function exportBoxesCsv() {
+  // Excel en español espera ";" y coma decimal
+  downloadTextFile(
+    "cajas.csv",
+    buildBoxCsv({ paintAreas, floorDefs, cellProfile, delimiter: lang === "es" ? ";" : "," })
+  );
+}
+
+function confirmImportPreview() {
+  if (!importPreview?.result.ok) return;
+
+  try {
+    applyImportedProject(importPreview.rawText);
+    setImportPreview(null);
+  } catch (error) {
+    console.error("Error importando proyecto:", error);
+    alert(`No se pudo cargar el proyecto: ${error.message}`);
+  }
+}
+
 function exportFairinoProjectJson() {
   const fairinoProject = buildFairinoProject({
     paintAreas,
     floorDefs,
+    cellProfile,
   });
 
   downloadJsonFile("fairino_project.json", fairinoProject);
@@ -263,7 +575,7 @@ function exportFairinoProjectJson() {
 function normalizePaintAreasFor3D(paintAreas = []) {
   return (paintAreas ?? []).map((area, index) => {
     const center = getAreaCenter(area);
-    const bbox = getAreaBBoxSize(area);
+    const baseSize = getAreaBaseSize(area);
     const rotationDeg = getRotationDeg(area);
 
     let widthMm = Number(
@@ -289,16 +601,10 @@ function normalizePaintAreasFor3D(paintAreas = []) {
       0
     );
 
-    // Si no vienen medidas base reales, las reconstruimos desde el bbox
-    // corrigiendo el caso 90/-90.
+    // Si no vienen medidas base reales, las reconstruimos deshaciendo el giro.
     if (!(widthMm > 0) || !(depthMm > 0)) {
-      if (Math.abs(rotationDeg) === 90) {
-        widthMm = bbox.h;
-        depthMm = bbox.w;
-      } else {
-        widthMm = bbox.w;
-        depthMm = bbox.h;
-      }
+      widthMm = baseSize.w;
+      depthMm = baseSize.h;
     }
 
     return {
@@ -310,6 +616,7 @@ function normalizePaintAreasFor3D(paintAreas = []) {
       widthMm,
       depthMm,
       rotationDeg,
+      boxHeightMm: getBoxHeightMm(area),
       source: area?.source ?? "single",
       points: area?.points ?? [],
     };
@@ -324,6 +631,7 @@ function open3DPopup() {
     JSON.stringify({
       paintAreas: paintAreas3D,
       floorDefs,
+      motionPlan: motionPlan3D,
       ts: Date.now(),
     })
   );
@@ -431,11 +739,34 @@ useEffect(() => {
     startClientX: 0,
     startClientY: 0,
     startPoints: [],
+    startRotationDeg: 0,
     startAreasById: {},
+    startRotationsById: {},
   });
 
-  // ✅ seleccionado
-  const [selectedAreaId, setSelectedAreaId] = useState("");
+  // ✅ seleccionado (multi-selección; la última caja tocada es la principal)
+  const [selectedAreaIds, setSelectedAreaIds] = useState([]);
+  const selectedAreaId = selectedAreaIds[selectedAreaIds.length - 1] ?? "";
+  const selectedIdSet = useMemo(() => new Set(selectedAreaIds), [selectedAreaIds]);
+
+  // herramienta de medida y cotas guardadas (mm)
+  const [measureMode, setMeasureMode] = useState(false);
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const [measureHover, setMeasureHover] = useState(null);
+  const [dimensions, setDimensions] = useState([]);
+  const [dimensionLabel, setDimensionLabel] = useState("");
+
+  // dibujo de áreas de referencia y editor de vértices sobre el canvas
+  const [polygonDrawMode, setPolygonDrawMode] = useState(false);
+  const [polygonDraft, setPolygonDraft] = useState([]);
+  const [polygonDraftLabel, setPolygonDraftLabel] = useState("");
+  const [polygonError, setPolygonError] = useState("");
+  const [vertexEditLabel, setVertexEditLabel] = useState("");
+  const vertexDragRef = useRef({ active: false, index: -1 });
+
+  // rectángulo de selección (shift / ctrl + arrastrar sobre el fondo), en px del svg
+  const [marquee, setMarquee] = useState(null);
+  const marqueeRef = useRef({ active: false, additive: false });
 
   // ✅ Context menu / editor (click derecho + link "Editar")
   const [areaMenu, setAreaMenu] = useState({
@@ -445,6 +776,8 @@ useEffect(() => {
     areaId: "",
     draftLabel: "",
     draftXY: "",
+    draftRotation: "0",
+    draftBoxHeight: String(DEFAULT_BOX_HEIGHT_MM),
     error: "",
   });
 
@@ -456,9 +789,22 @@ useEffect(() => {
 
 
 
+  // perfil de calibración de la celda
+  const [cellProfile, setCellProfile] = useState(() => ({ ...DEFAULT_CELL_PROFILE }));
+  const [cellProfilePanelOpen, setCellProfilePanelOpen] = useState(false);
+  const [cellProfileDraft, setCellProfileDraft] = useState(() => ({ ...DEFAULT_CELL_PROFILE }));
+
+  useEffect(() => {
+    setCellProfileDraft({ ...cellProfile });
+  }, [cellProfile]);
+
+  function applyCellProfileDraft() {
+    setCellProfile(normalizeCellProfile(cellProfileDraft));
+  }
+
   const [floorPanelOpen, setFloorPanelOpen] = useState(false);
   const [newFloorNumber, setNewFloorNumber] = useState(1);
-  const [newFloorZ, setNewFloorZ] = useState(-900);
+  const [newFloorZ, setNewFloorZ] = useState(DEFAULT_CELL_PROFILE.defaultZBase);
 
 
 
@@ -466,7 +812,9 @@ useEffect(() => {
   const handleFloorChange = (value) => {
     const num = Math.max(1, Number(value) || 1);
     setNewFloorNumber(num);
-    setNewFloorZ(getSuggestedFloorZBase(num));
+    setNewFloorZ(
+      getSuggestedFloorZBase(num, floorDefs, paintAreas, cellProfile.defaultZBase)
+    );
   };
 
   
@@ -503,6 +851,17 @@ const [spacingError, setSpacingError] = useState("");
   const [moveError, setMoveError] = useState("");
   const [dragFloorTogether, setDragFloorTogether] = useState(false);
 
+  // generador de patrones de pallet
+  const [patternPanelOpen, setPatternPanelOpen] = useState(false);
+  const [patternAreaLabel, setPatternAreaLabel] = useState("RLeft");
+  const [patternType, setPatternType] = useState("column");
+  const [patternW, setPatternW] = useState(300);
+  const [patternH, setPatternH] = useState(400);
+  const [patternGap, setPatternGap] = useState(10);
+  const [patternBoxHeight, setPatternBoxHeight] = useState(DEFAULT_BOX_HEIGHT_MM);
+  const [patternReplace, setPatternReplace] = useState(true);
+  const [patternError, setPatternError] = useState("");
+
 
   function syncActiveFloor(floor) {
     const f = Math.max(1, Number(floor) || 1);
@@ -536,6 +895,11 @@ const [spacingError, setSpacingError] = useState("");
   const [majorGridMm, setMajorGridMm] = useState(50);
   const [snapEnabled, setSnapEnabled] = useState(true);
 
+  // imán a bordes de cajas vecinas y a las áreas de referencia
+  const [objectSnapEnabled, setObjectSnapEnabled] = useState(true);
+  const [objectSnapGapMm, setObjectSnapGapMm] = useState(0);
+  const [snapGuides, setSnapGuides] = useState([]);
+
   // Coordenadas visibles
   const [showCoords, setShowCoords] = useState(true);
   const [coordStepMm, setCoordStepMm] = useState(200);
@@ -546,6 +910,7 @@ const [spacingError, setSpacingError] = useState("");
   const [newXY, setNewXY] = useState("(417, -635)");
   const [newW, setNewW] = useState(300);
   const [newH, setNewH] = useState(400);
+  const [newBoxHeight, setNewBoxHeight] = useState(DEFAULT_BOX_HEIGHT_MM);
   const [addOneError, setAddOneError] = useState("");
 
   // Paint areas textarea
@@ -567,23 +932,225 @@ const [spacingError, setSpacingError] = useState("");
   const [paintAreas, setPaintAreas] = useState(() => []);
   const [paintAreasError, setPaintAreasError] = useState("");
 
+  // historial deshacer / rehacer (snapshots de paintAreas + floorDefs + cotas)
+  const [history, setHistory] = useState(() => createHistory());
+  const [historyPanelOpen, setHistoryPanelOpen] = useState(false);
+  const [historyTick, setHistoryTick] = useState(0);
+  const historyActionRef = useRef(null);
+  const historyTransactionRef = useRef(false);
+
+  function markHistory(action) {
+    historyActionRef.current = action;
+  }
+
+  // todo lo que pase entre begin y end (ej. un arrastre) queda como un solo paso
+  function beginHistoryTransaction(action) {
+    historyActionRef.current = action;
+    historyTransactionRef.current = true;
+  }
+
+  function endHistoryTransaction() {
+    if (!historyTransactionRef.current) return;
+    historyTransactionRef.current = false;
+    setHistoryTick((n) => n + 1);
+  }
+
+  useEffect(() => {
+    if (historyTransactionRef.current) return;
+
+    const snapshot = { paintAreas, floorDefs, dimensions };
+    const action = historyActionRef.current ?? "edit";
+
+    setHistory((prev) => {
+      if (isSameSnapshot(prev.present, snapshot)) return prev;
+      return pushHistory(prev, snapshot, action);
+    });
+
+    historyActionRef.current = null;
+  }, [paintAreas, floorDefs, dimensions, historyTick]);
+
+  function restoreHistory(nextHistory) {
+    if (!nextHistory.present || nextHistory === history) return;
+
+    historyTransactionRef.current = false;
+    historyActionRef.current = null;
+    setHistory(nextHistory);
+    setPaintAreas(nextHistory.present.paintAreas);
+    setFloorDefs(nextHistory.present.floorDefs);
+    setDimensions(nextHistory.present.dimensions ?? []);
+    setNewLabel(getNextBlueLabel(nextHistory.present.paintAreas));
+  }
+
+  const undo = () => restoreHistory(undoHistory(history));
+  const redo = () => restoreHistory(redoHistory(history));
+
+  const [shortcutHelpOpen, setShortcutHelpOpen] = useState(false);
+
+  // flechas y RePág/AvPág solo se toman si el canvas está activo: puntero encima
+  // o último clic dentro; si no, siguen desplazando la página
+  const canvasHoverRef = useRef(false);
+  const canvasFocusRef = useRef(false);
+  const isCanvasActive = () => canvasHoverRef.current || canvasFocusRef.current;
+
+  useEffect(() => {
+    const onPointerDown = (e) => {
+      canvasFocusRef.current = Boolean(svgRef.current?.contains(e.target));
+    };
+
+    window.addEventListener("pointerdown", onPointerDown, true);
+    return () => window.removeEventListener("pointerdown", onPointerDown, true);
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      // dentro de un input se dejan las teclas nativas del navegador
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (e.target?.isContentEditable) return;
+
+      if (!(e.ctrlKey || e.metaKey)) {
+        onCanvasShortcut(e);
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      } else if (key === "c" && selectedBoxes.length > 0) {
+        e.preventDefault();
+        copySelection();
+      } else if (key === "v" && boxClipboard.length > 0) {
+        e.preventDefault();
+        pasteClipboard();
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+
+  const referenceAreaLabels = useMemo(() => {
+    return (paintAreas ?? [])
+      .filter((a) => a.source !== "single")
+      .map((a) => a.label);
+  }, [paintAreas]);
 
   const fairinoPreview = useMemo(() => {
     return buildFairinoProject({
       paintAreas,
       floorDefs,
+      cellProfile,
     });
-  }, [paintAreas, floorDefs]);
+  }, [paintAreas, floorDefs, cellProfile]);
 
   const hasInvalidFairinoBoxes = useMemo(() => {
     return (fairinoPreview?.boxes ?? []).some((b) => b.isValid === false);
   }, [fairinoPreview]);
 
+  // cajas que el robot no alcanza con el perfil de celda actual
+  const unreachableBoxIds = useMemo(() => {
+    return new Set(
+      (fairinoPreview?.boxes ?? [])
+        .filter((b) => b.isReachable === false)
+        .map((b) => b.id)
+    );
+  }, [fairinoPreview]);
+
+  // choques entre cajas del mismo piso
+  const [collisionClearanceMm, setCollisionClearanceMm] = useState(0);
+
+  const floorCollisions = useMemo(() => {
+    return detectFloorCollisions({
+      paintAreas,
+      clearanceMm: collisionClearanceMm,
+    });
+  }, [paintAreas, collisionClearanceMm]);
+
+  const collidingLabels = useMemo(() => {
+    return (paintAreas ?? [])
+      .filter((a) => floorCollisions[a.id])
+      .map((a) => a.label);
+  }, [paintAreas, floorCollisions]);
+
+  const hasCollidingBoxes = collidingLabels.length > 0;
+
+  // secuencia de colocación por piso
+  const [sequencePanelOpen, setSequencePanelOpen] = useState(false);
+  const [sequenceFloor, setSequenceFloor] = useState(1);
+
+  const sequenceFloorDef = (floorDefs ?? []).find(
+    (f) => Number(f.floor) === Number(sequenceFloor)
+  );
+  const sequenceSettings = normalizeSequence(sequenceFloorDef?.sequence);
+
+  const sequencedFloorBoxes = useMemo(() => {
+    const group = collectBoxesByFloor({ paintAreas, floorDefs, cellProfile }).find(
+      (g) => Number(g.floorNumber) === Number(sequenceFloor)
+    );
+    return group?.boxes ?? [];
+  }, [paintAreas, floorDefs, cellProfile, sequenceFloor]);
+
+  // el selector siempre apunta a un piso que existe
+  useEffect(() => {
+    if (sequenceFloorDef || (floorDefs ?? []).length === 0) return;
+    setSequenceFloor(Number(floorDefs[0].floor));
+  }, [floorDefs, sequenceFloorDef]);
+
+  function updateFloorSequence(floorNumber, patch) {
+    const def = (floorDefs ?? []).find((f) => Number(f.floor) === Number(floorNumber));
+    if (!def) return;
+
+    const current = normalizeSequence(def.sequence);
+    const next = { ...current, ...patch };
+    if (JSON.stringify(next) === JSON.stringify(current)) return;
+
+    markHistory("sequence");
+    setFloorDefs((prev) =>
+      (prev ?? []).map((f) =>
+        Number(f.floor) === Number(floorNumber) ? { ...f, sequence: next } : f
+      )
+    );
+  }
+
+  // mover una caja en la lista pasa el piso a orden manual
+  function moveSequenceItem(index, delta) {
+    const ids = sequencedFloorBoxes.map((b) => String(b.id));
+    const target = index + delta;
+    if (target < 0 || target >= ids.length) return;
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    updateFloorSequence(sequenceFloor, { strategy: "manual", order: ids });
+  }
+
+  // apoyo sobre el piso inferior
+  const [stabilityPanelOpen, setStabilityPanelOpen] = useState(false);
+  const [supportThresholdPct, setSupportThresholdPct] = useState(80);
+
+  const floorSupport = useMemo(() => {
+    return computeFloorSupport({
+      paintAreas,
+      floorDefs,
+      thresholdPct: supportThresholdPct,
+    });
+  }, [paintAreas, floorDefs, supportThresholdPct]);
+
+  const unstableBoxes = useMemo(() => {
+    return Object.values(floorSupport.boxes).filter((b) => !b.isStable);
+  }, [floorSupport]);
+
   useEffect(() => {
     const nextFloor = getNextFloorNumber(floorDefs, paintAreas);
     setNewFloorNumber(nextFloor);
-    setNewFloorZ(getSuggestedFloorZBase(nextFloor));
-  }, [floorDefs, paintAreas]);
+    setNewFloorZ(
+      getSuggestedFloorZBase(nextFloor, floorDefs, paintAreas, cellProfile.defaultZBase)
+    );
+  }, [floorDefs, paintAreas, cellProfile.defaultZBase]);
 
 
 {/*
@@ -602,6 +1169,12 @@ const [spacingError, setSpacingError] = useState("");
 */}
 
 
+// plan de movimiento para la reproducción en el visor 3D
+const motionPlan3D = useMemo(
+  () => buildMotionPlanAllFloors({ paintAreas, floorDefs, cellProfile }),
+  [paintAreas, floorDefs, cellProfile]
+);
+
 useEffect(() => {
   const paintAreas3D = normalizePaintAreasFor3D(paintAreas);
 
@@ -616,15 +1189,29 @@ useEffect(() => {
     JSON.stringify({
       paintAreas: paintAreas3D,
       floorDefs,
+      motionPlan: motionPlan3D,
       ts: Date.now(),
     })
   );
-}, [paintAreas, floorDefs]);
+}, [paintAreas, floorDefs, motionPlan3D]);
 
   // ✅ NUEVO: estados LUA (Piso 1)
   const [luaFloor1Text, setLuaFloorText] = useState("");
+  const [programTarget, setProgramTarget] = useState("fairino-lua");
+  const [programFilename, setProgramFilename] = useState("");
+  const programTargets = useMemo(() => listPostProcessors(), []);
 
   const importProjectInputRef = useRef(null);
+  const [importPreview, setImportPreview] = useState(null);
+
+  // proyecto guardado en la API (api/)
+  const [remoteProjectId, setRemoteProjectId] = useState("");
+  const [remoteName, setRemoteName] = useState("");
+  const [remoteProjects, setRemoteProjects] = useState([]);
+  const [remoteRevisions, setRemoteRevisions] = useState([]);
+  const [remoteSelectedId, setRemoteSelectedId] = useState("");
+  const [remoteStatus, setRemoteStatus] = useState({ error: "", message: "" });
+  const [remoteBusy, setRemoteBusy] = useState(false);
 
   // Scale (usando viewportPx)
   const baseScale = useMemo(() => {
@@ -644,6 +1231,8 @@ useEffect(() => {
   });
 
   function stopAreaDrag() {
+    if (areaDragRef.current.active) endHistoryTransaction();
+    setSnapGuides((g) => (g.length > 0 ? [] : g));
     areaDragRef.current.active = false;
     areaDragRef.current.mode = "single";
     areaDragRef.current.id = "";
@@ -651,7 +1240,9 @@ useEffect(() => {
     areaDragRef.current.startClientX = 0;
     areaDragRef.current.startClientY = 0;
     areaDragRef.current.startPoints = [];
+    areaDragRef.current.startRotationDeg = 0;
     areaDragRef.current.startAreasById = {};
+    areaDragRef.current.startRotationsById = {};
   }
 
   const stopPan = () => {
@@ -884,11 +1475,6 @@ useEffect(() => {
   }
 
 
-  function getSuggestedFloorZBase(floorNumber) {
-    const itemZ = 300; // altura de cada piso
-    return -900 + (Math.max(1, Number(floorNumber)) - 1) * itemZ;
-  }
-
   function saveFloorDef() {
     const floor = Number(newFloorNumber);
     const zBase = Number(newFloorZ);
@@ -898,6 +1484,7 @@ useEffect(() => {
     if (!Number.isFinite(zBase)) return;
     if (!color) return;
 
+    markHistory("saveFloor");
     setFloorDefs((prev) => {
       const exists = prev.some((f) => f.floor === floor);
 
@@ -913,7 +1500,14 @@ useEffect(() => {
     // dejar listo el siguiente piso automáticamente
     const nextFloor = floor + 1;
     setNewFloorNumber(nextFloor);
-    setNewFloorZ(getSuggestedFloorZBase(nextFloor));
+    setNewFloorZ(
+      getSuggestedFloorZBase(
+        nextFloor,
+        [...floorDefs.filter((f) => f.floor !== floor), { floor, zBase }],
+        paintAreas,
+        cellProfile.defaultZBase
+      )
+    );
     setNewFloorSelected(floor);
   }
 
@@ -931,6 +1525,7 @@ useEffect(() => {
     }
 
     // eliminar definición del piso
+    markHistory("deleteFloor");
     setFloorDefs((prev) =>
       prev.filter((f) => Number(f.floor) !== floorToDelete)
     );
@@ -952,7 +1547,14 @@ useEffect(() => {
 
     syncActiveFloor(nextLastFloor);
     setNewFloorNumber(nextSuggestedFloor);
-    setNewFloorZ(getSuggestedFloorZBase(nextSuggestedFloor));
+    setNewFloorZ(
+      getSuggestedFloorZBase(
+        nextSuggestedFloor,
+        floorDefs,
+        paintAreas,
+        cellProfile.defaultZBase
+      )
+    );
   }
 
 
@@ -1014,6 +1616,7 @@ useEffect(() => {
       (a) => a.source === "single" && Number(a.floor ?? 1) === targetFloor
     );
 
+    markHistory("cloneFloor");
     // Si el piso destino ya tiene items, preguntar qué hacer
     if (targetItems.length > 0) {
       const useNextFloor = window.confirm(
@@ -1034,7 +1637,12 @@ useEffect(() => {
     }
 
     const targetColor = getAutoFloorColor(targetFloor);
-    const targetZBase = getSuggestedFloorZBase(targetFloor);
+    const targetZBase = getSuggestedFloorZBase(
+      targetFloor,
+      floorDefs,
+      paintAreas,
+      cellProfile.defaultZBase
+    );
 
     // Crear o actualizar el piso destino
     setFloorDefs((prev) => {
@@ -1223,6 +1831,7 @@ rows.forEach((row, rowIndex) => {
     repositioned.map((r) => [r.id, r])
   );
 
+  markHistory("spacing");
   setPaintAreas((prev) =>
     prev.map((a) => {
       if (a.source !== "single") return a;
@@ -1288,6 +1897,7 @@ rows.forEach((row, rowIndex) => {
       return;
     }
 
+    markHistory("moveFloor");
     setPaintAreas((prev) =>
       prev.map((a) => {
         if (a.source !== "single") return a;
@@ -1321,7 +1931,7 @@ rows.forEach((row, rowIndex) => {
     if (!area) return;
 
     const p = areaSummaryPointMmRaw(area);
-    setSelectedAreaId(areaId);
+    setSelectedAreaIds((cur) => (cur.includes(areaId) ? cur : [areaId]));
     setAreaMenu({
       open: true,
       x: clientX,
@@ -1329,6 +1939,8 @@ rows.forEach((row, rowIndex) => {
       areaId,
       draftLabel: truncateLabel5(area.label) || "AREA",
       draftXY: `(${Math.round(p.x)}, ${Math.round(p.y)})`,
+      draftRotation: String(normalizeRotationDeg(area.rotationDeg ?? 0)),
+      draftBoxHeight: String(getBoxHeightMm(area)),
       error: "",
     });
   }
@@ -1354,15 +1966,22 @@ rows.forEach((row, rowIndex) => {
 
 
   function rotateArea90(areaId) {
+    rotateAreas90([areaId]);
+  }
+
+  function rotateAreas90(areaIds) {
+    const ids = new Set(areaIds);
+
+    markHistory(ids.size > 1 ? "rotateSelection" : "rotate");
     setPaintAreas((prev) =>
       prev.map((a) => {
-        if (a.id !== areaId) return a;
+        if (!ids.has(a.id)) return a;
         if (a.source !== "single") return a;
 
         const center = findInteriorPoint(a.points ?? []);
         const nextRotation = nextRotationDeg(a.rotationDeg ?? 0, center.y);
 
-        const delta = nextRotation - (a.rotationDeg ?? 0);
+        const delta = nextRotation - normalizeRotationDeg(a.rotationDeg ?? 0);
 
         const rotatedPoints = rotatePolygon(a.points ?? [], delta).map((p) => ({
           x: clamp(p.x, limits.minX, limits.maxX),
@@ -1380,97 +1999,484 @@ rows.forEach((row, rowIndex) => {
 
 
   function deletePolygon(id) {
+    markHistory("deleteBox");
     setPaintAreas((prev) => {
       const nextAreas = prev.filter((a) => a.id !== id);
       setNewLabel(getNextBlueLabel(nextAreas));
       return nextAreas;
     });
 
-    setSelectedAreaId((cur) => (cur === id ? "" : cur));
+    setSelectedAreaIds((cur) => cur.filter((x) => x !== id));
     setAreaMenu((m) =>
       m.areaId === id ? { ...m, open: false, areaId: "" } : m
     );
   }
 
-  function applyAreaEdit() {
-    const area = (paintAreas ?? []).find((a) => a.id === areaMenu.areaId);
-    if (!area) return;
+  // ---- operaciones sobre la selección ----
+  const [selectionFloor, setSelectionFloor] = useState("");
+  const [selectionW, setSelectionW] = useState("");
+  const [selectionH, setSelectionH] = useState("");
+  const [selectionError, setSelectionError] = useState("");
 
-    const parsed = parseXY(areaMenu.draftXY);
-    if (!parsed.ok) {
-      setAreaMenu((m) => ({ ...m, error: parsed.error }));
+  const selectedBoxes = useMemo(() => {
+    return (paintAreas ?? []).filter(
+      (a) => a.source === "single" && selectedIdSet.has(a.id)
+    );
+  }, [paintAreas, selectedIdSet]);
+
+  function deleteSelectedAreas() {
+    if (selectedBoxes.length === 0) return;
+
+    const ids = new Set(selectedBoxes.map((a) => a.id));
+
+    markHistory("deleteSelection");
+    setPaintAreas((prev) => {
+      const nextAreas = prev.filter((a) => !ids.has(a.id));
+      setNewLabel(getNextBlueLabel(nextAreas));
+      return nextAreas;
+    });
+
+    setSelectedAreaIds([]);
+    setAreaMenu((m) => (ids.has(m.areaId) ? { ...m, open: false, areaId: "" } : m));
+  }
+
+  function moveSelectionToFloor() {
+    setSelectionError("");
+
+    const floor = Number(selectionFloor);
+    const floorExists = (floorDefs ?? []).some((f) => Number(f.floor) === floor);
+
+    if (!floorExists) {
+      setSelectionError("Elige un piso existente.");
       return;
     }
 
-    const newLab = truncateLabel5(areaMenu.draftLabel) || "AREA";
-    const cur = areaSummaryPointMmRaw(area); // (float)
-    let dx = parsed.x - cur.x;
-    let dy = parsed.y - cur.y;
+    const ids = new Set(selectedBoxes.map((a) => a.id));
 
-    if (snapEnabled) {
-      dx = snapToStep(dx, gridMm);
-      dy = snapToStep(dy, gridMm);
+    markHistory("floorSelection");
+    setPaintAreas((prev) =>
+      prev.map((a) => (ids.has(a.id) ? { ...a, floor } : a))
+    );
+  }
+
+  // W / H vacío = se mantiene la medida actual de cada caja
+  function resizeSelection() {
+    setSelectionError("");
+
+    const w = selectionW === "" ? null : Number(selectionW);
+    const h = selectionH === "" ? null : Number(selectionH);
+
+    if ((w !== null && !(w > 0)) || (h !== null && !(h > 0))) {
+      setSelectionError("W y H deben ser mayores que 0.");
+      return;
     }
 
+    if (w === null && h === null) return;
+
+    const ids = new Set(selectedBoxes.map((a) => a.id));
+
+    markHistory("resizeSelection");
     setPaintAreas((prev) =>
       prev.map((a) => {
-        if (a.id !== area.id) return a;
-        const moved = (a.points ?? []).map((p) => ({
-          x: clamp(p.x + dx, limits.minX, limits.maxX),
-          y: clamp(p.y + dy, limits.minY, limits.maxY),
-        }));
+        if (!ids.has(a.id)) return a;
 
-        const movedCenter = findInteriorPoint(moved);
-        const nextRotationDeg = syncRotationWithY(a.rotationDeg ?? 0, movedCenter.y);
+        const center = findInteriorPoint(a.points ?? []);
+        const size = getAreaBaseSize(a);
+        const rotationDeg = normalizeRotationDeg(a.rotationDeg ?? 0);
+
+        const rect = rectAreaFromCenter(center.x, center.y, w ?? size.w, h ?? size.h);
+        const points = (rotationDeg !== 0 ? rotatePolygon(rect, rotationDeg) : rect).map(
+          (p) => ({
+            x: clamp(p.x, limits.minX, limits.maxX),
+            y: clamp(p.y, limits.minY, limits.maxY),
+          })
+        );
 
-        return {
-          ...a,
-          label: newLab,
-          points: moved,
-          rotationDeg: nextRotationDeg,
-        };
+        return { ...a, points };
       })
     );
+  }
 
-    setAreaMenu((m) => ({ ...m, error: "" }));
+  // ---- duplicar en matriz / portapapeles ----
+  const [arrayCols, setArrayCols] = useState(2);
+  const [arrayRows, setArrayRows] = useState(1);
+  const [arrayPitchX, setArrayPitchX] = useState(400);
+  const [arrayPitchY, setArrayPitchY] = useState(300);
+  const [boxClipboard, setBoxClipboard] = useState([]);
+
+  function addCopies(copies, action) {
+    markHistory(action);
+    setPaintAreas((prev) => {
+      const nextAreas = [...prev, ...copies];
+      setNewLabel(getNextBlueLabel(nextAreas));
+      return nextAreas;
+    });
+    setSelectedAreaIds(copies.map((a) => a.id));
   }
 
-  const onAreaPointerDown = (e, areaId) => {
-    if (e.button === 2) return;
+  function duplicateSelectionAsArray() {
+    setSelectionError("");
 
-    e.preventDefault();
-    e.stopPropagation();
+    const offsets = arrayOffsets({
+      cols: arrayCols,
+      rows: arrayRows,
+      pitchX: arrayPitchX,
+      pitchY: arrayPitchY,
+    });
 
-    setSelectedAreaId(areaId);
+    if (offsets.length === 0) {
+      setSelectionError("La matriz debe tener más de una celda.");
+      return;
+    }
 
-    const area = (paintAreas ?? []).find((a) => a.id === areaId);
-    if (!area) return;
+    const { copies, skipped } = duplicateAreas({
+      sourceAreas: selectedBoxes,
+      existingAreas: paintAreas,
+      offsets,
+      limits,
+    });
 
-    const floor = Number(area.floor ?? 1);
+    if (copies.length === 0) {
+      setSelectionError("Todas las copias quedan fuera del workspace.");
+      return;
+    }
 
-    areaDragRef.current.active = true;
-    areaDragRef.current.id = areaId;
-    areaDragRef.current.floor = floor;
-    areaDragRef.current.startClientX = e.clientX;
-    areaDragRef.current.startClientY = e.clientY;
+    addCopies(copies, "arrayDuplicate");
 
-    if (dragFloorTogether) {
-      const floorAreas = (paintAreas ?? []).filter(
-        (a) => a.source === "single" && Number(a.floor ?? 1) === floor
-      );
+    if (skipped > 0) {
+      setSelectionError(`${skipped} copia(s) quedaban fuera del workspace y no se crearon.`);
+    }
+  }
+
+  function copySelection() {
+    setBoxClipboard(
+      selectedBoxes.map((a) => ({
+        ...a,
+        points: (a.points ?? []).map((p) => ({ ...p })),
+      }))
+    );
+  }
+
+  // pega en el piso activo, en las mismas coordenadas
+  function pasteClipboard() {
+    if (boxClipboard.length === 0) return;
+
+    const floor = Number(newFloorSelected) || 1;
+    const { copies } = duplicateAreas({
+      sourceAreas: boxClipboard,
+      existingAreas: paintAreas,
+      floor,
+      limits,
+    });
+
+    if (copies.length === 0) return;
+
+    addCopies(copies, "paste");
+  }
+
+  // ---- alinear / distribuir ----
+  const [alignRefLabel, setAlignRefLabel] = useState("");
+  const [alignRefEdge, setAlignRefEdge] = useState("left");
+  const [alignRefGap, setAlignRefGap] = useState(0);
+
+  function applySelectionOffsets(offsets, action) {
+    if (Object.keys(offsets).length === 0) return;
+
+    markHistory(action);
+    setPaintAreas((prev) => translateAreas(prev, offsets, limits));
+  }
+
+  // flechas: el canvas tiene X invertido (izquierda = +X) y arriba = -Y
+  const NUDGE_KEYS = {
+    ArrowLeft: { sx: 1, sy: 0 },
+    ArrowRight: { sx: -1, sy: 0 },
+    ArrowUp: { sx: 0, sy: -1 },
+    ArrowDown: { sx: 0, sy: 1 },
+  };
+
+  function nudgeSelection(sx, sy, stepMm) {
+    if (selectedBoxes.length === 0) return;
+
+    // el grupo se frena entero en el borde del workspace
+    const bounds = selectedBoxes.map(areaBounds);
+    const minX = Math.min(...bounds.map((b) => b.minX));
+    const maxX = Math.max(...bounds.map((b) => b.maxX));
+    const minY = Math.min(...bounds.map((b) => b.minY));
+    const maxY = Math.max(...bounds.map((b) => b.maxY));
+
+    const dx = clamp(sx * stepMm, limits.minX - minX, limits.maxX - maxX);
+    const dy = clamp(sy * stepMm, limits.minY - minY, limits.maxY - maxY);
+    if (dx === 0 && dy === 0) return;
+
+    const offsets = {};
+    for (const a of selectedBoxes) offsets[a.id] = { dx, dy };
+
+    applySelectionOffsets(offsets, "nudge");
+  }
+
+  function switchActiveFloor(direction) {
+    const floors = (floorDefs ?? []).map((f) => Number(f.floor)).sort((a, b) => a - b);
+    if (floors.length === 0) return;
+
+    const idx = floors.indexOf(Number(newFloorSelected));
+    const nextIdx = idx === -1 ? 0 : clamp(idx + direction, 0, floors.length - 1);
+
+    syncActiveFloor(floors[nextIdx]);
+  }
+
+  // atajos sin Ctrl (el listener de teclado está junto al historial)
+  function onCanvasShortcut(e) {
+    if (e.altKey) return;
+
+    const nudge = NUDGE_KEYS[e.key];
+    if (nudge) {
+      if (selectedBoxes.length === 0 || !isCanvasActive()) return;
+      e.preventDefault();
+      nudgeSelection(nudge.sx, nudge.sy, gridMm * (e.shiftKey ? 10 : 1));
+      return;
+    }
+
+    switch (e.key) {
+      case "r":
+      case "R":
+        if (selectedBoxes.length === 0) return;
+        e.preventDefault();
+        rotateAreas90(selectedBoxes.map((a) => a.id));
+        return;
+      case "Delete":
+        if (selectedBoxes.length === 0) return;
+        e.preventDefault();
+        deleteSelectedAreas();
+        return;
+      case "PageUp":
+        if (!isCanvasActive()) return;
+        e.preventDefault();
+        switchActiveFloor(1);
+        return;
+      case "PageDown":
+        if (!isCanvasActive()) return;
+        e.preventDefault();
+        switchActiveFloor(-1);
+        return;
+      case "Escape":
+        setSelectedAreaIds([]);
+        setMeasurePoints([]);
+        setMeasureHover(null);
+        cancelPolygonDraft();
+        setShortcutHelpOpen(false);
+        setAreaMenu((m) => (m.open ? { ...m, open: false } : m));
+        return;
+      case "Enter":
+        if (!polygonDrawMode) return;
+        e.preventDefault();
+        finishPolygonDraft();
+        return;
+      case "?":
+        setShortcutHelpOpen((v) => !v);
+        return;
+    }
+  }
+
+  function alignSelection(mode) {
+    applySelectionOffsets(alignAreas(selectedBoxes, mode), "align");
+  }
+
+  function distributeSelection(axis) {
+    setSelectionError("");
+
+    if (selectedBoxes.length < 3) {
+      setSelectionError("Para distribuir se necesitan al menos 3 cajas.");
+      return;
+    }
+
+    applySelectionOffsets(distributeAreas(selectedBoxes, axis), "distribute");
+  }
+
+  function alignSelectionToReference() {
+    setSelectionError("");
+
+    const label = alignRefLabel || referenceAreaLabels[0];
+    const ref = (paintAreas ?? []).find(
+      (a) => a.source !== "single" && a.label === label
+    );
+
+    if (!ref) {
+      setSelectionError("Elige un área de referencia.");
+      return;
+    }
+
+    applySelectionOffsets(
+      alignAreasToEdge(selectedBoxes, ref.points, alignRefEdge, alignRefGap),
+      "alignToReference"
+    );
+  }
+
+  // click en la lista: simple = sólo esa caja, shift / ctrl = agregar o quitar
+  function onListItemClick(e, areaId) {
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      setSelectedAreaIds((cur) =>
+        cur.includes(areaId) ? cur.filter((x) => x !== areaId) : [...cur, areaId]
+      );
+      return;
+    }
+
+    setSelectedAreaIds([areaId]);
+  }
+
+  function applyAreaEdit() {
+    const area = (paintAreas ?? []).find((a) => a.id === areaMenu.areaId);
+    if (!area) return;
+
+    const parsed = parseXY(areaMenu.draftXY);
+    if (!parsed.ok) {
+      setAreaMenu((m) => ({ ...m, error: parsed.error }));
+      return;
+    }
+
+    const draftRotation = Number(areaMenu.draftRotation);
+    if (!Number.isFinite(draftRotation)) {
+      setAreaMenu((m) => ({ ...m, error: "Rotación inválida." }));
+      return;
+    }
+
+    const draftBoxHeight = Number(areaMenu.draftBoxHeight);
+    if (!Number.isFinite(draftBoxHeight) || draftBoxHeight <= 0) {
+      setAreaMenu((m) => ({ ...m, error: "Altura (Z) inválida." }));
+      return;
+    }
+
+    const newLab = truncateLabel5(areaMenu.draftLabel) || "AREA";
+    const cur = areaSummaryPointMmRaw(area); // (float)
+    let dx = parsed.x - cur.x;
+    let dy = parsed.y - cur.y;
+
+    if (snapEnabled) {
+      dx = snapToStep(dx, gridMm);
+      dy = snapToStep(dy, gridMm);
+    }
+
+    markHistory("editBox");
+    setPaintAreas((prev) =>
+      prev.map((a) => {
+        if (a.id !== area.id) return a;
+        const moved = (a.points ?? []).map((p) => ({
+          x: clamp(p.x + dx, limits.minX, limits.maxX),
+          y: clamp(p.y + dy, limits.minY, limits.maxY),
+        }));
+
+        const currentRotation = normalizeRotationDeg(a.rotationDeg ?? 0);
+        const typedRotation = normalizeRotationDeg(draftRotation);
+
+        // si el usuario escribió un ángulo nuevo se respeta tal cual;
+        // si no, se ajusta al lado del robot como al arrastrar
+        const next =
+          typedRotation !== currentRotation
+            ? {
+                points: rotatePolygon(moved, typedRotation - currentRotation).map(
+                  (p) => ({
+                    x: clamp(p.x, limits.minX, limits.maxX),
+                    y: clamp(p.y, limits.minY, limits.maxY),
+                  })
+                ),
+                rotationDeg: typedRotation,
+              }
+            : applyRotationSync(moved, currentRotation, limits);
+
+        return {
+          ...a,
+          label: newLab,
+          points: next.points,
+          rotationDeg: next.rotationDeg,
+          boxHeightMm: a.source === "single" ? draftBoxHeight : a.boxHeightMm,
+        };
+      })
+    );
+
+    setAreaMenu((m) => ({ ...m, error: "" }));
+  }
+
+  const onAreaPointerDown = (e, areaId) => {
+    if (e.button === 2) return;
+
+    if (measureMode) {
+      onMeasurePointerDown(e);
+      return;
+    }
+
+    if (polygonDrawMode) {
+      onPolygonDrawPointerDown(e);
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    // shift / ctrl-click: agrega o quita la caja de la selección, sin arrastrar
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      setSelectedAreaIds((cur) =>
+        cur.includes(areaId) ? cur.filter((x) => x !== areaId) : [...cur, areaId]
+      );
+      return;
+    }
+
+    const dragSelection =
+      !dragFloorTogether &&
+      selectedAreaIds.length > 1 &&
+      selectedAreaIds.includes(areaId);
+
+    if (!dragSelection) {
+      setSelectedAreaIds([areaId]);
+    }
+
+    const area = (paintAreas ?? []).find((a) => a.id === areaId);
+    if (!area) return;
+
+    const floor = Number(area.floor ?? 1);
+
+    beginHistoryTransaction(
+      dragFloorTogether ? "dragFloor" : dragSelection ? "dragSelection" : "dragBox"
+    );
+    areaDragRef.current.active = true;
+    areaDragRef.current.id = areaId;
+    areaDragRef.current.floor = floor;
+    areaDragRef.current.startClientX = e.clientX;
+    areaDragRef.current.startClientY = e.clientY;
+
+    if (dragFloorTogether) {
+      const floorAreas = (paintAreas ?? []).filter(
+        (a) => a.source === "single" && Number(a.floor ?? 1) === floor
+      );
 
       const startAreasById = {};
+      const startRotationsById = {};
       for (const a of floorAreas) {
         startAreasById[a.id] = (a.points ?? []).map((p) => ({ ...p }));
+        startRotationsById[a.id] = normalizeRotationDeg(a.rotationDeg ?? 0);
       }
 
       areaDragRef.current.mode = "floor";
       areaDragRef.current.startPoints = [];
       areaDragRef.current.startAreasById = startAreasById;
+      areaDragRef.current.startRotationsById = startRotationsById;
+    } else if (dragSelection) {
+      const startAreasById = {};
+      const startRotationsById = {};
+      for (const a of paintAreas ?? []) {
+        if (!selectedIdSet.has(a.id)) continue;
+        startAreasById[a.id] = (a.points ?? []).map((p) => ({ ...p }));
+        startRotationsById[a.id] = normalizeRotationDeg(a.rotationDeg ?? 0);
+      }
+
+      areaDragRef.current.mode = "selection";
+      areaDragRef.current.startPoints = [];
+      areaDragRef.current.startAreasById = startAreasById;
+      areaDragRef.current.startRotationsById = startRotationsById;
     } else {
       areaDragRef.current.mode = "single";
       areaDragRef.current.startPoints = (area.points ?? []).map((p) => ({ ...p }));
+      areaDragRef.current.startRotationDeg = normalizeRotationDeg(area.rotationDeg ?? 0);
       areaDragRef.current.startAreasById = {};
+      areaDragRef.current.startRotationsById = {};
     }
 
     e.currentTarget.setPointerCapture?.(e.pointerId);
@@ -1486,21 +2492,67 @@ rows.forEach((row, rowIndex) => {
     let dx = dx_mm;
     let dy = dy_mm;
 
-    if (snapEnabled) {
+    const mode = areaDragRef.current.mode;
+
+    // el imán de objetos manda; en el eje donde no engancha se usa la grilla
+    let snap = null;
+
+    if (objectSnapEnabled) {
+      const movingIds =
+        mode === "single"
+          ? new Set([areaDragRef.current.id])
+          : new Set(Object.keys(areaDragRef.current.startAreasById || {}));
+
+      const movingAreas =
+        mode === "single"
+          ? [{ points: areaDragRef.current.startPoints || [] }]
+          : Object.values(areaDragRef.current.startAreasById || {}).map((points) => ({
+              points,
+            }));
+
+      const dragFloor = Number(areaDragRef.current.floor ?? 1);
+
+      snap = computeObjectSnap({
+        movingAreas,
+        dx,
+        dy,
+        neighbourAreas: (paintAreas ?? []).filter(
+          (a) =>
+            a.source === "single" &&
+            !movingIds.has(a.id) &&
+            Number(a.floor ?? 1) === dragFloor
+        ),
+        referenceAreas: (paintAreas ?? []).filter(
+          (a) => a.source !== "single" && !movingIds.has(a.id)
+        ),
+        gapMm: objectSnapGapMm,
+        thresholdMm: 8 / scale,
+      });
+    }
+
+    if (snap?.snappedX) {
+      dx = snap.dx;
+    } else if (snapEnabled) {
       dx = snapToStep(dx, gridMm);
+    }
+
+    if (snap?.snappedY) {
+      dy = snap.dy;
+    } else if (snapEnabled) {
       dy = snapToStep(dy, gridMm);
     }
 
-    const mode = areaDragRef.current.mode;
+    setSnapGuides(snap?.guides ?? []);
 
-    if (mode === "floor") {
+    if (mode === "floor" || mode === "selection") {
       const floor = Number(areaDragRef.current.floor ?? 1);
       const startAreasById = areaDragRef.current.startAreasById || {};
+      const startRotationsById = areaDragRef.current.startRotationsById || {};
 
       setPaintAreas((prev) =>
         prev.map((a) => {
-          if (a.source !== "single") return a;
-          if (Number(a.floor ?? 1) !== floor) return a;
+          if (mode === "floor" && a.source !== "single") return a;
+          if (mode === "floor" && Number(a.floor ?? 1) !== floor) return a;
 
           const startPoints = startAreasById[a.id];
           if (!startPoints) return a;
@@ -1510,13 +2562,16 @@ rows.forEach((row, rowIndex) => {
             y: clamp(p.y + dy, limits.minY, limits.maxY),
           }));
 
-          const movedCenter = findInteriorPoint(moved);
-          const nextRotationDeg = syncRotationWithY(a.rotationDeg ?? 0, movedCenter.y);
+          const next = applyRotationSync(
+            moved,
+            startRotationsById[a.id] ?? a.rotationDeg ?? 0,
+            limits
+          );
 
           return {
             ...a,
-            points: moved,
-            rotationDeg: nextRotationDeg,
+            points: next.points,
+            rotationDeg: next.rotationDeg,
           };
         })
       );
@@ -1526,6 +2581,7 @@ rows.forEach((row, rowIndex) => {
 
     const areaId = areaDragRef.current.id;
     const startPoints = areaDragRef.current.startPoints || [];
+    const startRotationDeg = areaDragRef.current.startRotationDeg ?? 0;
 
     setPaintAreas((prev) =>
       prev.map((a) => {
@@ -1536,23 +2592,322 @@ rows.forEach((row, rowIndex) => {
           y: clamp(p.y + dy, limits.minY, limits.maxY),
         }));
 
-        const movedCenter = findInteriorPoint(moved);
-        const nextRotationDeg = syncRotationWithY(a.rotationDeg ?? 0, movedCenter.y);
+        const next = applyRotationSync(moved, startRotationDeg, limits);
 
         return {
           ...a,
-          points: moved,
-          rotationDeg: nextRotationDeg,
+          points: next.points,
+          rotationDeg: next.rotationDeg,
         };
       })
     );
   };
 
+  function svgLocalPoint(e) {
+    const rect = svgRef.current?.getBoundingClientRect();
+    return {
+      x: e.clientX - (rect?.left ?? 0),
+      y: e.clientY - (rect?.top ?? 0),
+    };
+  }
+
+  // selecciona las cajas visibles cuyo centro cae dentro del rectángulo
+  function finishMarquee() {
+    if (!marqueeRef.current.active || !marquee) return;
+
+    const a = pxToMm(marquee.x0, marquee.y0);
+    const b = pxToMm(marquee.x1, marquee.y1);
+    const minX = Math.min(a.x_mm, b.x_mm);
+    const maxX = Math.max(a.x_mm, b.x_mm);
+    const minY = Math.min(a.y_mm, b.y_mm);
+    const maxY = Math.max(a.y_mm, b.y_mm);
+
+    const hits = (paintAreas ?? [])
+      .filter((area) => area.source === "single")
+      .filter(
+        (area) =>
+          blueAreasFloorFilter === "ALL" ||
+          String(area.floor) === String(blueAreasFloorFilter)
+      )
+      .filter((area) => {
+        const c = findInteriorPoint(area.points ?? []);
+        return c.x >= minX && c.x <= maxX && c.y >= minY && c.y <= maxY;
+      })
+      .map((area) => area.id);
+
+    const additive = marqueeRef.current.additive;
+    setSelectedAreaIds((cur) =>
+      additive ? [...cur, ...hits.filter((id) => !cur.includes(id))] : hits
+    );
+
+    marqueeRef.current.active = false;
+    setMarquee(null);
+  }
+
+  function cancelMarquee() {
+    marqueeRef.current.active = false;
+    setMarquee(null);
+  }
+
+  // punto de medida bajo el cursor, enganchado a vértices / bordes visibles
+  function measurePointFromEvent(e) {
+    const local = svgLocalPoint(e);
+    const mm = pxToMm(local.x, local.y);
+
+    const areas = (paintAreas ?? []).filter(
+      (a) =>
+        a.source !== "single" ||
+        blueAreasFloorFilter === "ALL" ||
+        String(a.floor) === String(blueAreasFloorFilter)
+    );
+
+    return snapMeasurePoint({ x: mm.x_mm, y: mm.y_mm }, areas, 8 / scale);
+  }
+
+  function onMeasurePointerDown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const p = measurePointFromEvent(e);
+    setMeasurePoints((cur) => (cur.length === 1 ? [cur[0], p] : [p]));
+    setMeasureHover(null);
+  }
+
+  function toggleMeasureMode() {
+    setMeasureMode((v) => !v);
+    setMeasurePoints([]);
+    setMeasureHover(null);
+    setPolygonDrawMode(false);
+    setPolygonDraft([]);
+  }
+
+  // ---- áreas de referencia: dibujo y vértices ----
+  function canvasPointMm(e) {
+    const local = svgLocalPoint(e);
+    const mm = pxToMm(local.x, local.y);
+
+    let x = mm.x_mm;
+    let y = mm.y_mm;
+    if (snapEnabled) {
+      x = snapToStep(x, gridMm);
+      y = snapToStep(y, gridMm);
+    }
+
+    return {
+      x: Math.round(clamp(x, limits.minX, limits.maxX)),
+      y: Math.round(clamp(y, limits.minY, limits.maxY)),
+    };
+  }
+
+  // el texto CSV sigue siendo la fuente: cada edición reescribe su línea
+  function writeReferenceAreaText(label, points) {
+    const line = formatAreaCSVLine(label, points);
+    setPaintAreasText((prev) => replaceAreaLine(prev, label, line));
+  }
+
+  function setReferenceAreaPoints(label, points) {
+    setPaintAreas((prev) =>
+      prev.map((a) =>
+        a.source !== "single" && a.label === label ? { ...a, points } : a
+      )
+    );
+  }
+
+  function togglePolygonDrawMode() {
+    setPolygonError("");
+    setPolygonDrawMode((v) => !v);
+    setPolygonDraft([]);
+    setVertexEditLabel("");
+    setMeasureMode(false);
+    setMeasurePoints([]);
+  }
+
+  function cancelPolygonDraft() {
+    setPolygonDrawMode(false);
+    setPolygonDraft([]);
+  }
+
+  function finishPolygonDraft() {
+    setPolygonError("");
+
+    const label = truncateLabel5(polygonDraftLabel);
+    if (!label) {
+      setPolygonError("Indica el nombre del área (ej. RLeft).");
+      return;
+    }
+
+    if (polygonDraft.length < MIN_POLYGON_POINTS) {
+      setPolygonError("El área requiere mínimo 3 puntos.");
+      return;
+    }
+
+    const points = polygonDraft;
+
+    markHistory("drawReference");
+    setPaintAreas((prev) => {
+      const exists = prev.some((a) => a.source !== "single" && a.label === label);
+      if (exists) {
+        return prev.map((a) =>
+          a.source !== "single" && a.label === label ? { ...a, points } : a
+        );
+      }
+
+      return [
+        ...prev,
+        {
+          id:
+            globalThis.crypto?.randomUUID?.() ??
+            String(Date.now() + Math.random()),
+          label,
+          points,
+          source: "csv",
+        },
+      ];
+    });
+
+    writeReferenceAreaText(label, points);
+    setPolygonDrawMode(false);
+    setPolygonDraft([]);
+    setVertexEditLabel(label);
+  }
+
+  function onPolygonDrawPointerDown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    // clic sobre el primer vértice cierra el polígono
+    if (polygonDraft.length >= MIN_POLYGON_POINTS) {
+      const local = svgLocalPoint(e);
+      const first = mmToPx(polygonDraft[0].x, polygonDraft[0].y);
+      if (Math.hypot(local.x - first.x_px, local.y - first.y_px) <= 8) {
+        finishPolygonDraft();
+        return;
+      }
+    }
+
+    const p = canvasPointMm(e);
+    setPolygonDraft((cur) => [...cur, p]);
+  }
+
+  const vertexEditArea = useMemo(() => {
+    if (!vertexEditLabel) return null;
+    return (
+      (paintAreas ?? []).find(
+        (a) => a.source !== "single" && a.label === vertexEditLabel
+      ) ?? null
+    );
+  }, [paintAreas, vertexEditLabel]);
+
+  function startVertexDrag(e, index) {
+    vertexDragRef.current.active = true;
+    vertexDragRef.current.index = index;
+    svgRef.current?.setPointerCapture?.(e.pointerId);
+  }
+
+  // clic: arrastrar · clic derecho o Alt+clic: eliminar
+  function onVertexPointerDown(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!vertexEditArea) return;
+
+    if (e.button === 2 || e.altKey) {
+      const next = deleteVertex(vertexEditArea.points, index);
+      if (next === vertexEditArea.points) return;
+
+      markHistory("editVertex");
+      setReferenceAreaPoints(vertexEditArea.label, next);
+      writeReferenceAreaText(vertexEditArea.label, next);
+      return;
+    }
+
+    beginHistoryTransaction("editVertex");
+    startVertexDrag(e, index);
+  }
+
+  // clic en el punto medio de un borde: nuevo vértice y se arrastra de una vez
+  function onEdgeMidpointPointerDown(e, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!vertexEditArea || e.button === 2) return;
+
+    const mid = edgeMidpoints(vertexEditArea.points)[index];
+
+    beginHistoryTransaction("editVertex");
+    setReferenceAreaPoints(
+      vertexEditArea.label,
+      insertVertex(vertexEditArea.points, index, mid)
+    );
+    startVertexDrag(e, index + 1);
+  }
+
+  function onVertexDragMove(e) {
+    if (!vertexEditArea) return;
+
+    setReferenceAreaPoints(
+      vertexEditArea.label,
+      moveVertex(vertexEditArea.points, vertexDragRef.current.index, canvasPointMm(e))
+    );
+  }
+
+  function stopVertexDrag() {
+    if (!vertexDragRef.current.active) return;
+
+    vertexDragRef.current.active = false;
+    vertexDragRef.current.index = -1;
+    endHistoryTransaction();
+
+    if (vertexEditArea) {
+      writeReferenceAreaText(vertexEditArea.label, vertexEditArea.points);
+    }
+  }
+
+  function saveDimension() {
+    if (measurePoints.length !== 2) return;
+
+    markHistory("addDimension");
+    setDimensions((prev) => [
+      ...prev,
+      {
+        id: globalThis.crypto?.randomUUID?.() ?? String(Date.now() + Math.random()),
+        a: measurePoints[0],
+        b: measurePoints[1],
+        label: dimensionLabel.trim(),
+      },
+    ]);
+    setMeasurePoints([]);
+    setDimensionLabel("");
+  }
+
+  function deleteDimension(id) {
+    markHistory("deleteDimension");
+    setDimensions((prev) => prev.filter((d) => d.id !== id));
+  }
+
   // ✅ PAN handlers
   const onPanPointerDown = (e) => {
     if (e.button !== 0) return;
+
+    if (measureMode) {
+      onMeasurePointerDown(e);
+      return;
+    }
+
+    if (polygonDrawMode) {
+      onPolygonDrawPointerDown(e);
+      return;
+    }
+
     e.preventDefault();
 
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      const p = svgLocalPoint(e);
+      marqueeRef.current.active = true;
+      marqueeRef.current.additive = e.shiftKey;
+      setMarquee({ x0: p.x, y0: p.y, x1: p.x, y1: p.y });
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      return;
+    }
+
     panDragRef.current.active = true;
     panDragRef.current.startClientX = e.clientX;
     panDragRef.current.startClientY = e.clientY;
@@ -1586,26 +2941,54 @@ rows.forEach((row, rowIndex) => {
 
   // ✅ Router de eventos SVG (PAN + Drag áreas)
   const onSvgPointerMove = (e) => {
+    if (vertexDragRef.current.active) {
+      onVertexDragMove(e);
+      return;
+    }
+    if (measureMode) {
+      if (measurePoints.length === 1) setMeasureHover(measurePointFromEvent(e));
+      return;
+    }
     if (areaDragRef.current.active) {
       onAreaDragMove(e);
       return;
     }
+    if (marqueeRef.current.active) {
+      const p = svgLocalPoint(e);
+      setMarquee((m) => (m ? { ...m, x1: p.x, y1: p.y } : m));
+      return;
+    }
     onPanPointerMove(e);
   };
 
-  const onSvgPointerUp = () => {
+  const onSvgPointerUp = (e) => {
+    // click simple sobre el fondo (sin desplazar) limpia la selección
+    if (
+      panDragRef.current.active &&
+      Math.abs(e.clientX - panDragRef.current.startClientX) < 3 &&
+      Math.abs(e.clientY - panDragRef.current.startClientY) < 3
+    ) {
+      setSelectedAreaIds([]);
+    }
+
+    finishMarquee();
     stopPan();
     stopAreaDrag();
+    stopVertexDrag();
   };
 
   const onSvgPointerLeave = () => {
+    cancelMarquee();
     stopPan();
     stopAreaDrag();
+    stopVertexDrag();
   };
 
   const onSvgPointerCancel = () => {
+    cancelMarquee();
     stopPan();
     stopAreaDrag();
+    stopVertexDrag();
   };
 
   const addOnePoint = () => {
@@ -1655,6 +3038,12 @@ rows.forEach((row, rowIndex) => {
       return;
     }
 
+    const boxHeightMm = Number(newBoxHeight);
+    if (!Number.isFinite(boxHeightMm) || boxHeightMm <= 0) {
+      setAddOneError("La altura (Z) de la caja debe ser mayor que 0.");
+      return;
+    }
+
     let pts = rectAreaFromCenter(x, y, w_mm, h_mm);
     pts = pts.map((p) => ({
       x: clamp(p.x, limits.minX, limits.maxX),
@@ -1671,15 +3060,17 @@ rows.forEach((row, rowIndex) => {
       source: "single",
       floor: newFloorSelected,
       rotationDeg: 0,
+      boxHeightMm,
     };
 
+    markHistory("addBox");
     setPaintAreas((prev) => {
       const nextAreas = [...prev, newArea];
       setNewLabel(getNextBlueLabel(nextAreas));
       return nextAreas;
     });
 
-    setSelectedAreaId(newAreaId);
+    setSelectedAreaIds([newAreaId]);
 
     const line = formatAreaCSVLine(label, pts);
     setPaintAreasText((prev) => {
@@ -1688,7 +3079,95 @@ rows.forEach((row, rowIndex) => {
     });
   };
 
+  function generatePatternForFloor() {
+    setPatternError("");
+
+    if (!floorDefs || floorDefs.length === 0) {
+      setPatternError("Debes definir al menos un piso antes de generar un patrón.");
+      return;
+    }
+
+    const refArea = (paintAreas ?? []).find(
+      (a) => a.source !== "single" && a.label === patternAreaLabel
+    );
+
+    if (!refArea || (refArea.points ?? []).length < 3) {
+      setPatternError(`No existe el área de referencia ${patternAreaLabel}.`);
+      return;
+    }
+
+    const w = Number(patternW);
+    const h = Number(patternH);
+
+    if (!(w > 0) || !(h > 0)) {
+      setPatternError("Indica ancho y alto de caja (>0).");
+      return;
+    }
+
+    const boxHeightMm = Number(patternBoxHeight);
+    if (!(boxHeightMm > 0)) {
+      setPatternError("La altura (Z) de la caja debe ser mayor que 0.");
+      return;
+    }
+
+    const cells = generatePalletPattern({
+      polygon: refArea.points,
+      w,
+      h,
+      gap: patternGap,
+      pattern: patternType,
+    });
+
+    if (cells.length === 0) {
+      setPatternError(`No cabe ninguna caja en ${patternAreaLabel}.`);
+      return;
+    }
+
+    const floor = Number(newFloorSelected);
+
+    markHistory("pattern");
+    setPaintAreas((prev) => {
+      const baseAreas = patternReplace
+        ? prev.filter(
+            (a) => !(a.source === "single" && Number(a.floor ?? 1) === floor)
+          )
+        : prev;
+
+      const nextAreas = [...baseAreas];
+
+      for (const cell of cells) {
+        const rotationDeg = cell.rotated ? getRotationFromY(cell.y) || 90 : 0;
+
+        let pts = rectAreaFromCenter(cell.x, cell.y, w, h);
+        if (rotationDeg !== 0) {
+          pts = rotatePolygon(pts, rotationDeg);
+        }
+
+        nextAreas.push({
+          id:
+            globalThis.crypto?.randomUUID?.() ??
+            String(Date.now() + Math.random()),
+          label: getNextBlueLabel(nextAreas),
+          points: pts.map((p) => ({
+            x: clamp(p.x, limits.minX, limits.maxX),
+            y: clamp(p.y, limits.minY, limits.maxY),
+          })),
+          source: "single",
+          floor,
+          rotationDeg,
+          boxHeightMm,
+        });
+      }
+
+      setNewLabel(getNextBlueLabel(nextAreas));
+      return nextAreas;
+    });
+
+    syncActiveFloor(floor);
+  }
+
   function applyPaintAreas() {
+    markHistory("referenceAreas");
     const lines = (paintAreasText ?? "")
       .split(/\r?\n/)
       .map((l) => l.trim())
@@ -1727,9 +3206,119 @@ rows.forEach((row, rowIndex) => {
 
   useEffect(() => {
     applyPaintAreas();
+    markHistory("initial");
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // ---- autoguardado en IndexedDB ----
+  const [autosaveEnabled, setAutosaveEnabled] = useState(() => isAutosaveAvailable());
+  const [autosaveSnapshots, setAutosaveSnapshots] = useState([]);
+  const [autosavePrompt, setAutosavePrompt] = useState(null); // último snapshot de la sesión anterior
+  const [lastAutosaveAt, setLastAutosaveAt] = useState(null);
+  // hasta responder al aviso de restaurar no se guarda nada, para no tapar la sesión anterior
+  const autosaveReadyRef = useRef(false);
+  const lastAutosaveJsonRef = useRef("");
+  const autosaveTickRef = useRef(null);
+
+  async function refreshAutosaveList() {
+    try {
+      setAutosaveSnapshots(await listSnapshots());
+    } catch (error) {
+      console.error("Error leyendo autoguardados:", error);
+    }
+  }
+
+  async function autosaveNow({ force = false } = {}) {
+    if (!autosaveReadyRef.current) return;
+
+    const project = currentProjectData();
+    const json = JSON.stringify(project);
+    if (!force && json === lastAutosaveJsonRef.current) return;
+
+    try {
+      const saved = await saveSnapshot(project);
+      lastAutosaveJsonRef.current = json;
+      setLastAutosaveAt(saved.savedAt);
+      await refreshAutosaveList();
+    } catch (error) {
+      console.error("Error en autoguardado:", error);
+    }
+  }
+
+  async function restoreSnapshot(id) {
+    try {
+      const record = await getSnapshot(id);
+      if (!record) throw new Error("El snapshot ya no existe.");
+
+      applyImportedProject(JSON.stringify(record.project), "restoreSnapshot");
+    } catch (error) {
+      console.error("Error restaurando snapshot:", error);
+      alert(`No se pudo restaurar: ${error.message}`);
+    } finally {
+      setAutosavePrompt(null);
+      autosaveReadyRef.current = true;
+    }
+  }
+
+  function dismissAutosavePrompt() {
+    setAutosavePrompt(null);
+    autosaveReadyRef.current = true;
+  }
+
+  async function removeSnapshot(id) {
+    try {
+      await deleteSnapshot(id);
+    } catch (error) {
+      console.error("Error eliminando snapshot:", error);
+    }
+    await refreshAutosaveList();
+  }
+
+  useEffect(() => {
+    autosaveTickRef.current = autosaveNow;
+  });
+
+  useEffect(() => {
+    if (!isAutosaveAvailable()) return;
+
+    let cancelled = false;
+
+    listSnapshots()
+      .then((snapshots) => {
+        if (cancelled) return;
+        setAutosaveSnapshots(snapshots);
+
+        // si se abre un proyecto del servidor no se ofrece la sesión anterior
+        if (snapshots.length > 0 && !projectId) setAutosavePrompt(snapshots[0]);
+        else autosaveReadyRef.current = true;
+      })
+      .catch((error) => {
+        console.error("Error leyendo autoguardados:", error);
+        autosaveReadyRef.current = true;
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!autosaveEnabled) return;
+
+    const timer = setInterval(() => autosaveTickRef.current?.(), AUTOSAVE_INTERVAL_MS);
+
+    // al ocultar la pestaña (cerrar, cambiar de app) se intenta guardar ya
+    const onVisibility = () => {
+      if (document.visibilityState === "hidden") autosaveTickRef.current?.();
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", onVisibility);
+    };
+  }, [autosaveEnabled]);
+
   const paintAreasSvg = useMemo(() => {
     if (!paintEnabled) return [];
 
@@ -1780,6 +3369,10 @@ rows.forEach((row, rowIndex) => {
             return "#ef4444";
           }
 
+          if (floorCollisions[area.id]) {
+            return "#ef4444";
+          }
+
           return getFloorColor(area.floor ?? 1);
         })(),
         pointsAttr,
@@ -1791,19 +3384,17 @@ rows.forEach((row, rowIndex) => {
         },
       };
     });
-  }, [paintEnabled, paintAreas, mmToPx]);
+  }, [paintEnabled, paintAreas, mmToPx, floorCollisions]);
 
 
 
 
   const frontViewBoxes = useMemo(() => {
-    const boxHeight = 300;
-
     return (paintAreas ?? [])
       .filter((a) => a.source === "single")
       .map((a) => {
         const floorDef = floorDefs.find((f) => f.floor === (a.floor ?? 1));
-        const zBase = floorDef?.zBase ?? -900;
+        const zBase = floorDef?.zBase ?? cellProfile.defaultZBase;
         const center = areaSummaryPointMm(a);
 
         const xs = (a.points ?? []).map((p) => p.x);
@@ -1846,7 +3437,7 @@ rows.forEach((row, rowIndex) => {
           label: a.label,
           floor: a.floor ?? 1,
           zBase,
-          boxHeight,
+          boxHeight: getBoxHeightMm(a),
           color: getFloorColor(a.floor ?? 1),
           horizontalMm: rotated.x,
           horizontalMinMm,
@@ -1854,7 +3445,7 @@ rows.forEach((row, rowIndex) => {
           depthMm: rotated.y,
         };
       });
-  }, [paintAreas, floorDefs, frontViewSide]);
+  }, [paintAreas, floorDefs, frontViewSide, cellProfile.defaultZBase]);
 
 
 
@@ -1921,6 +3512,7 @@ const blueAreasList = useMemo(() => {
         y: a.summary.y_mm,
         floor: raw?.floor ?? 1,
         rotationDeg: raw?.rotationDeg ?? 0,
+        boxHeightMm: getBoxHeightMm(raw),
       };
     })
     .sort((a, b) => {
@@ -2024,6 +3616,178 @@ const blueAreasList = useMemo(() => {
     }}
   >
 
+    {importPreview && (
+      <div
+        style={{
+          position: "fixed",
+          inset: 0,
+          zIndex: 60,
+          background: "rgba(17,24,39,0.45)",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+        }}
+      >
+        <div
+          style={{
+            width: 520,
+            maxHeight: "80vh",
+            overflowY: "auto",
+            padding: 16,
+            borderRadius: 10,
+            background: "#ffffff",
+            boxShadow: "0 10px 30px rgba(0,0,0,0.3)",
+            display: "grid",
+            gap: 10,
+            fontSize: 13,
+          }}
+        >
+          {(() => {
+            const r = importPreview.result;
+            const listStyle = { margin: 0, paddingLeft: 18, display: "grid", gap: 2 };
+
+            return (
+              <>
+                <div style={{ fontWeight: 800, color: "#5b21b6" }}>
+                  {t.importPreviewTitle}: {importPreview.fileName}
+                </div>
+
+                <div style={{ color: "#374151" }}>
+                  {r.fromVersion !== null && (
+                    <>
+                      {t.schemaVersion}: {r.format !== PROJECT_FORMAT && `${r.format} `}v{r.fromVersion}
+                      {r.migrations.length > 0 && ` (${t.migrations}: ${r.migrations.join(", ")})`}
+                      <br />
+                    </>
+                  )}
+                  {r.summary.floors} {t.floorsShort} · {r.summary.boxes} {t.boxesShort} ·{" "}
+                  {r.summary.referenceAreas} {t.referenceAreasShort} · {r.summary.dimensions}{" "}
+                  {t.dimensionsShort}
+                </div>
+
+                {r.errors.length > 0 && (
+                  <div style={{ color: "#b00020" }}>
+                    <b>{t.importErrors}</b>
+                    <ul style={listStyle}>
+                      {r.errors.map((e, idx) => (
+                        <li key={`err-${idx}`}>
+                          {e.path && <code>{e.path}</code>} {e.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {r.dropped.length > 0 && (
+                  <div style={{ color: "#991b1b" }}>
+                    <b>{t.importDropped} ({r.dropped.length})</b>
+                    <ul style={listStyle}>
+                      {r.dropped.map((d, idx) => (
+                        <li key={`drop-${idx}`}>
+                          <code>{d.path}</code> {d.label && <b>{d.label}</b>} {d.reason}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {r.clamped.length > 0 && (
+                  <div style={{ color: "#92400e" }}>
+                    <b>{t.importClamped} ({r.clamped.length})</b>
+                    <ul style={listStyle}>
+                      {r.clamped.map((c, idx) => (
+                        <li key={`clamp-${idx}`}>
+                          <code>{c.path}</code> <b>{c.label}</b> {c.reason}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {r.warnings.length > 0 && (
+                  <div style={{ color: "#6b7280" }}>
+                    <b>{t.importWarnings} ({r.warnings.length})</b>
+                    <ul style={listStyle}>
+                      {r.warnings.map((w, idx) => (
+                        <li key={`warn-${idx}`}>
+                          <code>{w.path}</code> {w.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                  <button
+                    onClick={() => setImportPreview(null)}
+                    style={{ padding: "6px 10px", borderRadius: 6, border: "1px solid #d1d5db", background: "#ffffff", cursor: "pointer" }}
+                  >
+                    {t.cancel}
+                  </button>
+                  <button
+                    onClick={confirmImportPreview}
+                    disabled={!r.ok}
+                    style={{
+                      padding: "6px 10px",
+                      borderRadius: 6,
+                      border: "none",
+                      background: r.ok ? "#7c3aed" : "#c4b5fd",
+                      color: "#fff",
+                      fontWeight: 700,
+                      cursor: r.ok ? "pointer" : "not-allowed",
+                    }}
+                  >
+                    {t.importApply}
+                  </button>
+                </div>
+              </>
+            );
+          })()}
+        </div>
+      </div>
+    )}
+
+    {autosavePrompt && (
+      <div
+        style={{
+          position: "fixed",
+          top: 16,
+          left: "50%",
+          transform: "translateX(-50%)",
+          zIndex: 50,
+          width: 380,
+          padding: 14,
+          borderRadius: 10,
+          background: "#ffffff",
+          border: "1px solid #7c3aed",
+          boxShadow: "0 10px 30px rgba(0,0,0,0.25)",
+          display: "grid",
+          gap: 8,
+          fontSize: 13,
+        }}
+      >
+        <div style={{ fontWeight: 800, color: "#5b21b6" }}>{t.restoreSessionTitle}</div>
+        <div style={{ color: "#374151" }}>
+          {t.restoreSessionText} {new Date(autosavePrompt.savedAt).toLocaleString()} ·{" "}
+          {autosavePrompt.boxCount} {t.boxesShort} · {autosavePrompt.floorCount} {t.floorsShort}
+        </div>
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button
+            onClick={dismissAutosavePrompt}
+            style={{ padding: "6px 10px", borderRadius: 6, border: "1px solid #d1d5db", background: "#ffffff", cursor: "pointer" }}
+          >
+            {t.discard}
+          </button>
+          <button
+            onClick={() => restoreSnapshot(autosavePrompt.id)}
+            style={{ padding: "6px 10px", borderRadius: 6, border: "none", background: "#7c3aed", color: "#fff", fontWeight: 700, cursor: "pointer" }}
+          >
+            {t.restore}
+          </button>
+        </div>
+      </div>
+    )}
+
 
 <div
   style={{
@@ -2347,7 +4111,7 @@ const blueAreasList = useMemo(() => {
   <div
     style={{
       display: "grid",
-      gridTemplateColumns: "32px 42px 20px 80px 28px 60px",
+      gridTemplateColumns: "32px 42px 20px 42px 28px 42px 72px",
       gap: 4,
       alignItems: "center",
       justifyContent: "start",
@@ -2393,6 +4157,26 @@ const blueAreasList = useMemo(() => {
       }}
     />
 
+    <label style={{ fontSize: 10, fontWeight: 700, whiteSpace: "nowrap" }}>
+      {t.boxHeight}
+    </label>
+    <input
+      type="number"
+      value={newBoxHeight}
+      onChange={(e) => setNewBoxHeight(Number(e.target.value || 0))}
+      style={{
+        width: "42px",
+        height: 22,
+        padding: "1px 4px",
+        borderRadius: 6,
+        border: "1px solid #d0d5dd",
+        background: "#fff",
+        color: "#111827",
+        fontSize: 10,
+        boxSizing: "border-box",
+      }}
+    />
+
     <button
       onClick={addOnePoint}
       style={{
@@ -2415,15 +4199,161 @@ const blueAreasList = useMemo(() => {
   </div>
 </div>
 
-      {addOneError ? (
+      {addOneError ? (
+        <div style={{ marginTop: 5, color: "#b00020", fontSize: 11 }}>
+          {addOneError}
+        </div>
+      ) : null}
+    </>
+  )}
+</div>
+{/* panel agregar items  */}
+
+
+{/* panel generar patrón */}
+<div style={sectionGroupStyle}>
+  <div
+    style={{
+      display: "flex",
+      justifyContent: "space-between",
+      alignItems: "center",
+      gap: 6,
+      marginBottom: 6,
+    }}
+  >
+    <div style={{ fontWeight: 900, fontSize: 13 }}>{t.patternTitle}</div>
+
+    <button
+      onClick={() => setPatternPanelOpen((v) => !v)}
+      style={{
+        border: "1px solid #2563eb",
+        background: patternPanelOpen ? "#2563eb" : "#dbeafe",
+        color: patternPanelOpen ? "#ffffff" : "#1d4ed8",
+        borderRadius: 6,
+        padding: "3px 7px",
+        cursor: "pointer",
+        fontSize: 11,
+        fontWeight: 700,
+        lineHeight: 1.1,
+      }}
+    >
+      {patternPanelOpen ? t.close : t.open}
+    </button>
+  </div>
+
+  {patternPanelOpen && (
+    <>
+      <div style={{ display: "grid", gap: 4 }}>
+        <div style={{ display: "flex", gap: 4, alignItems: "center", flexWrap: "wrap" }}>
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.referenceArea}</label>
+          <select
+            value={patternAreaLabel}
+            onChange={(e) => setPatternAreaLabel(e.target.value)}
+            style={{ height: 22, fontSize: 10, borderRadius: 6 }}
+          >
+            {referenceAreaLabels.map((label) => (
+              <option key={label} value={label}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.pattern}</label>
+          <select
+            value={patternType}
+            onChange={(e) => setPatternType(e.target.value)}
+            style={{ height: 22, fontSize: 10, borderRadius: 6 }}
+          >
+            {PALLET_PATTERNS.map((p) => (
+              <option key={p} value={p}>
+                {t.patternNames?.[p] ?? p}
+              </option>
+            ))}
+          </select>
+
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.floor}</label>
+          <select
+            value={newFloorSelected}
+            onChange={(e) => syncActiveFloor(Number(e.target.value))}
+            style={{ height: 22, fontSize: 10, borderRadius: 6 }}
+          >
+            {floorDefs.map((f) => (
+              <option key={f.floor} value={f.floor}>
+                {f.floor}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{ display: "flex", gap: 4, alignItems: "center", flexWrap: "wrap" }}>
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.width}</label>
+          <input
+            type="number"
+            value={patternW}
+            onChange={(e) => setPatternW(Number(e.target.value || 0))}
+            style={{ width: 50, height: 22, fontSize: 10, borderRadius: 6 }}
+          />
+
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.height}</label>
+          <input
+            type="number"
+            value={patternH}
+            onChange={(e) => setPatternH(Number(e.target.value || 0))}
+            style={{ width: 50, height: 22, fontSize: 10, borderRadius: 6 }}
+          />
+
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.boxHeight}</label>
+          <input
+            type="number"
+            value={patternBoxHeight}
+            onChange={(e) => setPatternBoxHeight(Number(e.target.value || 0))}
+            style={{ width: 50, height: 22, fontSize: 10, borderRadius: 6 }}
+          />
+
+          <label style={{ fontSize: 10, fontWeight: 700 }}>{t.gap}</label>
+          <input
+            type="number"
+            value={patternGap}
+            onChange={(e) => setPatternGap(Number(e.target.value || 0))}
+            style={{ width: 40, height: 22, fontSize: 10, borderRadius: 6 }}
+          />
+
+          <label style={{ fontSize: 10, display: "flex", gap: 3, alignItems: "center" }}>
+            <input
+              type="checkbox"
+              checked={patternReplace}
+              onChange={(e) => setPatternReplace(e.target.checked)}
+            />
+            {t.replaceFloorItems}
+          </label>
+        </div>
+
+        <button
+          onClick={generatePatternForFloor}
+          style={{
+            height: 24,
+            borderRadius: 6,
+            border: "none",
+            background: "#2563eb",
+            color: "#fff",
+            fontWeight: 700,
+            fontSize: 11,
+            cursor: "pointer",
+          }}
+        >
+          {t.generatePattern}
+        </button>
+      </div>
+
+      {patternError ? (
         <div style={{ marginTop: 5, color: "#b00020", fontSize: 11 }}>
-          {addOneError}
+          {patternError}
         </div>
       ) : null}
     </>
   )}
 </div>
-{/* panel agregar items  */}
+{/* panel generar patrón */}
 
 
 
@@ -2495,6 +4425,234 @@ const blueAreasList = useMemo(() => {
                     </div>
                   </div>
 
+                  {selectedBoxes.length === 0 && (
+                    <div style={{ fontSize: 11, color: "#6b7280", marginBottom: 6 }}>
+                      {t.selectionHint}
+                    </div>
+                  )}
+
+                  {boxClipboard.length > 0 && (
+                    <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 6, fontSize: 12 }}>
+                      <span style={{ flex: 1 }}>
+                        {t.clipboard}: {boxClipboard.length}
+                      </span>
+                      <button
+                        onClick={pasteClipboard}
+                        title="Ctrl+V"
+                        style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#475569", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                      >
+                        {t.pasteOnFloor} {newFloorSelected}
+                      </button>
+                    </div>
+                  )}
+
+                  {selectedBoxes.length > 0 && (
+                    <div
+                      style={{
+                        display: "grid",
+                        gap: 6,
+                        marginBottom: 8,
+                        padding: 8,
+                        borderRadius: 8,
+                        border: "1px solid #93c5fd",
+                        background: "#eff6ff",
+                        fontSize: 12,
+                      }}
+                    >
+                      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                        <strong style={{ flex: 1 }}>
+                          {t.selectedCount}: {selectedBoxes.length}
+                        </strong>
+                        <button
+                          onClick={() => rotateAreas90(selectedBoxes.map((a) => a.id))}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#2563eb", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.rotate}
+                        </button>
+                        <button
+                          onClick={deleteSelectedAreas}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#dc2626", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.delete}
+                        </button>
+                        <button
+                          onClick={copySelection}
+                          title="Ctrl+C"
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#475569", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.copy}
+                        </button>
+                        <button
+                          onClick={() => setSelectedAreaIds([])}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "1px solid #9ca3af", background: "#fff", color: "#111827", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.clearSelection}
+                        </button>
+                      </div>
+
+                      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                        <label style={{ fontWeight: 700 }}>{t.floor}</label>
+                        <select
+                          value={selectionFloor}
+                          onChange={(e) => setSelectionFloor(e.target.value)}
+                          style={{ height: 24, fontSize: 12, borderRadius: 6 }}
+                        >
+                          <option value="">—</option>
+                          {(floorDefs ?? []).map((f) => (
+                            <option key={`sel-floor-${f.floor}`} value={String(f.floor)}>
+                              {f.floor}
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={moveSelectionToFloor}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#0f766e", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.apply}
+                        </button>
+
+                        <label style={{ fontWeight: 700, marginLeft: 6 }}>W</label>
+                        <input
+                          type="number"
+                          min={1}
+                          value={selectionW}
+                          onChange={(e) => setSelectionW(e.target.value)}
+                          style={{ width: 56, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <label style={{ fontWeight: 700 }}>H</label>
+                        <input
+                          type="number"
+                          min={1}
+                          value={selectionH}
+                          onChange={(e) => setSelectionH(e.target.value)}
+                          style={{ width: 56, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <button
+                          onClick={resizeSelection}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#0f766e", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.apply}
+                        </button>
+                      </div>
+
+                      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                        <label style={{ fontWeight: 700 }}>{t.arrayTitle}</label>
+                        <input
+                          type="number"
+                          min={1}
+                          value={arrayCols}
+                          onChange={(e) => setArrayCols(Number(e.target.value) || 1)}
+                          title={t.arrayCols}
+                          style={{ width: 40, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <span>×</span>
+                        <input
+                          type="number"
+                          min={1}
+                          value={arrayRows}
+                          onChange={(e) => setArrayRows(Number(e.target.value) || 1)}
+                          title={t.arrayRows}
+                          style={{ width: 40, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <label style={{ fontWeight: 700 }}>{t.pitch} X</label>
+                        <input
+                          type="number"
+                          value={arrayPitchX}
+                          onChange={(e) => setArrayPitchX(Number(e.target.value))}
+                          style={{ width: 56, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <label style={{ fontWeight: 700 }}>Y</label>
+                        <input
+                          type="number"
+                          value={arrayPitchY}
+                          onChange={(e) => setArrayPitchY(Number(e.target.value))}
+                          style={{ width: 56, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <button
+                          onClick={duplicateSelectionAsArray}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#7c3aed", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.duplicate}
+                        </button>
+                      </div>
+
+                      <div style={{ display: "flex", alignItems: "center", gap: 4, flexWrap: "wrap" }}>
+                        <label style={{ fontWeight: 700 }}>{t.alignTitle}</label>
+                        {ALIGN_MODES.map((mode) => (
+                          <button
+                            key={`align-${mode}`}
+                            onClick={() => alignSelection(mode)}
+                            disabled={selectedBoxes.length < 2}
+                            title={t.alignModes?.[mode] ?? mode}
+                            style={{ height: 24, minWidth: 28, padding: "0 6px", borderRadius: 6, border: "1px solid #93c5fd", background: "#fff", color: "#1e3a8a", fontWeight: 800, fontSize: 12, cursor: "pointer" }}
+                          >
+                            {{ left: "⇤", right: "⇥", top: "⤒", bottom: "⤓", centerX: "↔", centerY: "↕" }[mode]}
+                          </button>
+                        ))}
+
+                        <label style={{ fontWeight: 700, marginLeft: 6 }}>{t.distributeTitle}</label>
+                        <button
+                          onClick={() => distributeSelection("x")}
+                          title={t.distributeX}
+                          style={{ height: 24, padding: "0 6px", borderRadius: 6, border: "1px solid #93c5fd", background: "#fff", color: "#1e3a8a", fontWeight: 800, fontSize: 12, cursor: "pointer" }}
+                        >
+                          X
+                        </button>
+                        <button
+                          onClick={() => distributeSelection("y")}
+                          title={t.distributeY}
+                          style={{ height: 24, padding: "0 6px", borderRadius: 6, border: "1px solid #93c5fd", background: "#fff", color: "#1e3a8a", fontWeight: 800, fontSize: 12, cursor: "pointer" }}
+                        >
+                          Y
+                        </button>
+                      </div>
+
+                      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                        <label style={{ fontWeight: 700 }}>{t.alignToReference}</label>
+                        <select
+                          value={alignRefLabel || referenceAreaLabels[0] || ""}
+                          onChange={(e) => setAlignRefLabel(e.target.value)}
+                          style={{ height: 24, fontSize: 12, borderRadius: 6 }}
+                        >
+                          {referenceAreaLabels.map((label) => (
+                            <option key={`align-ref-${label}`} value={label}>
+                              {label}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={alignRefEdge}
+                          onChange={(e) => setAlignRefEdge(e.target.value)}
+                          style={{ height: 24, fontSize: 12, borderRadius: 6 }}
+                        >
+                          {REFERENCE_EDGES.map((edge) => (
+                            <option key={`align-edge-${edge}`} value={edge}>
+                              {t.alignModes?.[edge] ?? edge}
+                            </option>
+                          ))}
+                        </select>
+                        <label style={{ fontWeight: 700 }}>{t.gap}</label>
+                        <input
+                          type="number"
+                          min={0}
+                          value={alignRefGap}
+                          onChange={(e) => setAlignRefGap(Number(e.target.value) || 0)}
+                          style={{ width: 50, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                        />
+                        <button
+                          onClick={alignSelectionToReference}
+                          style={{ height: 24, padding: "0 8px", borderRadius: 6, border: "none", background: "#0f766e", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                        >
+                          {t.apply}
+                        </button>
+                      </div>
+
+                      {selectionError ? (
+                        <div style={{ color: "#b00020" }}>{selectionError}</div>
+                      ) : null}
+                    </div>
+                  )}
+
                   {blueAreasPanelOpen && (
                   <div
                     style={{
@@ -2540,10 +4698,16 @@ const blueAreasList = useMemo(() => {
                               {group.items.map((b) => (
                               <div
                                 key={b.id}
+                                onClick={(e) => onListItemClick(e, b.id)}
                                 style={{
                                   display: "flex",
                                   alignItems: "center",
                                   gap: 8,
+                                  cursor: "pointer",
+                                  borderRadius: 6,
+                                  padding: "2px 4px",
+                                  background: selectedIdSet.has(b.id) ? "#1d4ed8" : "transparent",
+                                  outline: selectedIdSet.has(b.id) ? "1px solid #93c5fd" : "none",
                                 }}
                               >
                                   <div
@@ -2556,11 +4720,14 @@ const blueAreasList = useMemo(() => {
                                       whiteSpace: "nowrap", // 👈 NO BAJA
                                     }}
                                   >
-                                    {b.label}, (x={b.x}, y={b.y}), rot={b.rotationDeg}°
+                                    {b.label}, (x={b.x}, y={b.y}), rot={b.rotationDeg}°, z={b.boxHeightMm}
                                   </div>
 
                                   <button
-                                    onClick={() => rotateArea90(b.id)}
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      rotateArea90(b.id);
+                                    }}
                                     style={{
                                       border: "1px solid #93c5fd",
                                       borderRadius: 8,
@@ -2789,8 +4956,162 @@ const blueAreasList = useMemo(() => {
             overflow: "hidden",
             position: "relative",
             touchAction: "none",
+            cursor: measureMode || polygonDrawMode ? "crosshair" : undefined,
           }}
         >
+          <div
+            style={{
+              position: "absolute",
+              top: 6,
+              left: 6,
+              zIndex: 2,
+              display: "grid",
+              gap: 4,
+              maxWidth: 260,
+              fontSize: 12,
+            }}
+          >
+            <button
+              onClick={toggleMeasureMode}
+              style={{
+                justifySelf: "start",
+                height: 26,
+                padding: "0 10px",
+                borderRadius: 6,
+                border: "1px solid #0f766e",
+                background: measureMode ? "#0f766e" : "#ffffff",
+                color: measureMode ? "#ffffff" : "#0f766e",
+                fontWeight: 800,
+                fontSize: 12,
+                cursor: "pointer",
+              }}
+            >
+              📏 {t.measure}
+            </button>
+
+            <button
+              onClick={() => setShortcutHelpOpen((v) => !v)}
+              title={t.shortcutsTitle}
+              style={{
+                justifySelf: "start",
+                height: 26,
+                padding: "0 10px",
+                borderRadius: 6,
+                border: "1px solid #374151",
+                background: shortcutHelpOpen ? "#374151" : "#ffffff",
+                color: shortcutHelpOpen ? "#ffffff" : "#374151",
+                fontWeight: 800,
+                fontSize: 12,
+                cursor: "pointer",
+              }}
+            >
+              ⌨ {t.shortcutsTitle}
+            </button>
+
+            {shortcutHelpOpen && (
+              <div
+                style={{
+                  padding: 8,
+                  borderRadius: 8,
+                  border: "1px solid #d1d5db",
+                  background: "rgba(255,255,255,0.97)",
+                  boxShadow: "0 4px 12px rgba(0,0,0,0.12)",
+                }}
+              >
+                <div style={{ fontWeight: 800, marginBottom: 4, color: "#374151" }}>
+                  {t.shortcutsTitle}
+                </div>
+                <table style={{ borderCollapse: "collapse", width: "100%" }}>
+                  <tbody>
+                    {t.shortcutList.map(([keys, desc]) => (
+                      <tr key={keys}>
+                        <td style={{ padding: "2px 6px 2px 0", whiteSpace: "nowrap", verticalAlign: "top" }}>
+                          <kbd
+                            style={{
+                              fontFamily: "monospace",
+                              fontSize: 11,
+                              padding: "0 4px",
+                              borderRadius: 4,
+                              border: "1px solid #d1d5db",
+                              background: "#f9fafb",
+                            }}
+                          >
+                            {keys}
+                          </kbd>
+                        </td>
+                        <td style={{ padding: "2px 0", color: "#374151" }}>{desc}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {measureMode && (
+              <div
+                style={{
+                  display: "grid",
+                  gap: 4,
+                  padding: 6,
+                  borderRadius: 8,
+                  border: "1px solid #d1d5db",
+                  background: "rgba(255,255,255,0.95)",
+                }}
+              >
+                {measurePoints.length === 2 ? (
+                  (() => {
+                    const m = measureBetween(measurePoints[0], measurePoints[1]);
+                    return (
+                      <>
+                        <div style={{ fontFamily: "monospace", fontWeight: 700 }}>
+                          {m.distance} mm · ΔX {m.dx} · ΔY {m.dy}
+                        </div>
+                        <div style={{ display: "flex", gap: 4 }}>
+                          <input
+                            value={dimensionLabel}
+                            onChange={(e) => setDimensionLabel(e.target.value)}
+                            placeholder={t.dimensionLabel}
+                            style={{ flex: 1, height: 22, fontSize: 12, borderRadius: 6, padding: "1px 4px" }}
+                          />
+                          <button
+                            onClick={saveDimension}
+                            style={{ height: 22, padding: "0 8px", borderRadius: 6, border: "none", background: "#0f766e", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                          >
+                            {t.saveDimension}
+                          </button>
+                        </div>
+                      </>
+                    );
+                  })()
+                ) : (
+                  <div style={{ color: "#6b7280" }}>{t.measureHint}</div>
+                )}
+
+                {dimensions.length > 0 && (
+                  <div style={{ display: "grid", gap: 2, maxHeight: 120, overflowY: "auto" }}>
+                    {dimensions.map((d) => {
+                      const m = measureBetween(d.a, d.b);
+                      return (
+                        <div key={`dim-row-${d.id}`} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                          <span style={{ flex: 1, fontFamily: "monospace" }}>
+                            {d.label ? `${d.label}: ` : ""}
+                            {m.distance} mm
+                          </span>
+                          <button
+                            onClick={() => deleteDimension(d.id)}
+                            style={{ height: 18, padding: "0 6px", borderRadius: 4, border: "none", background: "#fee2e2", color: "#991b1b", fontSize: 11, cursor: "pointer" }}
+                          >
+                            ×
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
           <svg
           ref={svgRef}
           width={viewportPx}
@@ -2803,7 +5124,13 @@ const blueAreasList = useMemo(() => {
             onPointerDown={onPanPointerDown}
             onPointerMove={onSvgPointerMove}
             onPointerUp={onSvgPointerUp}
-            onPointerLeave={onSvgPointerLeave}
+            onPointerEnter={() => {
+              canvasHoverRef.current = true;
+            }}
+            onPointerLeave={(e) => {
+              canvasHoverRef.current = false;
+              onSvgPointerLeave(e);
+            }}
             onPointerCancel={onSvgPointerCancel}
             onWheel={onWheelZoom}
           >
@@ -3041,19 +5368,34 @@ const blueAreasList = useMemo(() => {
                       (() => {
                         const fairinoBox = fairinoPreview?.boxes?.find((b) => b.id === a.id);
 
-                        if (fairinoBox?.isValid === false) {
+                        if (fairinoBox?.isValid === false || floorCollisions[a.id]) {
                           return "#b91c1c";
                         }
 
-                        return a.id === selectedAreaId ? selectedStrokeColor : strokeColor;
+                        if (unreachableBoxIds.has(a.id)) {
+                          return "#9333ea";
+                        }
+
+                        if (floorSupport.boxes[a.id]?.isStable === false) {
+                          return "#f59e0b";
+                        }
+
+                        return selectedIdSet.has(a.id) ? selectedStrokeColor : strokeColor;
                       })()
                     }
                     strokeWidth={
                       (() => {
                         const fairinoBox = fairinoPreview?.boxes?.find((b) => b.id === a.id);
-                        return fairinoBox?.isValid === false ? 3 : 2;
+                        return fairinoBox?.isValid === false ||
+                          floorCollisions[a.id] ||
+                          unreachableBoxIds.has(a.id)
+                          ? 3
+                          : 2;
                       })()
                     }
+                    strokeDasharray={
+                      floorSupport.boxes[a.id]?.isStable === false ? "6 3" : undefined
+                    }
                     style={{
                       cursor: areaDragRef.current.active ? "grabbing" : "grab",
                     }}
@@ -3085,7 +5427,7 @@ const blueAreasList = useMemo(() => {
                       }
                       fill={
                         a.source === "single"
-                          ? (a.id === selectedAreaId ? "#ffffff" : "#000000")
+                          ? (selectedIdSet.has(a.id) ? "#ffffff" : "#000000")
                           : "#111827"
                       }
                       style={{
@@ -3102,6 +5444,163 @@ const blueAreasList = useMemo(() => {
               );
             })}
 
+            {/* cotas guardadas + medida en curso */}
+            {[
+              ...dimensions.map((d) => ({ ...d, color: "#0f766e" })),
+              ...(measurePoints.length === 2
+                ? [{ id: "measure", a: measurePoints[0], b: measurePoints[1], label: "", color: "#dc2626" }]
+                : measurePoints.length === 1 && measureHover
+                  ? [{ id: "measure-hover", a: measurePoints[0], b: measureHover, label: "", color: "#f87171" }]
+                  : []),
+            ].map((d) => {
+              const p1 = mmToPx(d.a.x, d.a.y);
+              const p2 = mmToPx(d.b.x, d.b.y);
+              const m = measureBetween(d.a, d.b);
+              const text = `${d.label ? `${d.label}: ` : ""}${m.distance} mm (ΔX ${m.dx}, ΔY ${m.dy})`;
+
+              return (
+                <g key={`dim-${d.id}`} pointerEvents="none">
+                  <line
+                    x1={p1.x_px}
+                    y1={p1.y_px}
+                    x2={p2.x_px}
+                    y2={p2.y_px}
+                    stroke={d.color}
+                    strokeWidth={1.5}
+                  />
+                  <circle cx={p1.x_px} cy={p1.y_px} r={3} fill={d.color} />
+                  <circle cx={p2.x_px} cy={p2.y_px} r={3} fill={d.color} />
+                  <text
+                    x={(p1.x_px + p2.x_px) / 2}
+                    y={(p1.y_px + p2.y_px) / 2 - 6}
+                    textAnchor="middle"
+                    fontSize="11"
+                    fontFamily="monospace"
+                    fontWeight={800}
+                    fill={d.color}
+                    style={{ paintOrder: "stroke", stroke: "#ffffff", strokeWidth: 3 }}
+                  >
+                    {text}
+                  </text>
+                </g>
+              );
+            })}
+
+            {measureMode && measurePoints.length === 1 && (() => {
+              const p = mmToPx(measurePoints[0].x, measurePoints[0].y);
+              return <circle cx={p.x_px} cy={p.y_px} r={4} fill="#dc2626" pointerEvents="none" />;
+            })()}
+
+            {/* polígono en dibujo */}
+            {polygonDrawMode && polygonDraft.length > 0 && (
+              <g pointerEvents="none">
+                <polyline
+                  points={polygonDraft
+                    .map((p) => {
+                      const pp = mmToPx(p.x, p.y);
+                      return `${pp.x_px},${pp.y_px}`;
+                    })
+                    .join(" ")}
+                  fill="none"
+                  stroke="#2563eb"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                />
+                {polygonDraft.map((p, idx) => {
+                  const pp = mmToPx(p.x, p.y);
+                  return (
+                    <circle
+                      key={`draft-${idx}`}
+                      cx={pp.x_px}
+                      cy={pp.y_px}
+                      r={idx === 0 ? 6 : 4}
+                      fill={idx === 0 ? "#ffffff" : "#2563eb"}
+                      stroke="#2563eb"
+                      strokeWidth={2}
+                    />
+                  );
+                })}
+              </g>
+            )}
+
+            {/* editor de vértices del área de referencia */}
+            {vertexEditArea && !polygonDrawMode && (
+              <g>
+                {edgeMidpoints(vertexEditArea.points).map((m) => {
+                  const pp = mmToPx(m.x, m.y);
+                  return (
+                    <rect
+                      key={`mid-${m.index}`}
+                      x={pp.x_px - 4}
+                      y={pp.y_px - 4}
+                      width={8}
+                      height={8}
+                      fill="#ffffff"
+                      stroke="#2563eb"
+                      strokeWidth={1.5}
+                      style={{ cursor: "copy" }}
+                      onPointerDown={(e) => onEdgeMidpointPointerDown(e, m.index)}
+                      onContextMenu={(e) => e.preventDefault()}
+                    />
+                  );
+                })}
+                {vertexEditArea.points.map((p, idx) => {
+                  const pp = mmToPx(p.x, p.y);
+                  return (
+                    <circle
+                      key={`vtx-${idx}`}
+                      cx={pp.x_px}
+                      cy={pp.y_px}
+                      r={6}
+                      fill="#2563eb"
+                      stroke="#ffffff"
+                      strokeWidth={2}
+                      style={{ cursor: "move" }}
+                      onPointerDown={(e) => onVertexPointerDown(e, idx)}
+                      onContextMenu={(e) => e.preventDefault()}
+                    >
+                      <title>{`(${Math.round(p.x)}, ${Math.round(p.y)})`}</title>
+                    </circle>
+                  );
+                })}
+              </g>
+            )}
+
+            {snapGuides.map((g, idx) => {
+              const p1 =
+                g.axis === "x" ? mmToPx(g.value, g.from) : mmToPx(g.from, g.value);
+              const p2 =
+                g.axis === "x" ? mmToPx(g.value, g.to) : mmToPx(g.to, g.value);
+
+              return (
+                <line
+                  key={`snap-guide-${idx}`}
+                  x1={p1.x_px}
+                  y1={p1.y_px}
+                  x2={p2.x_px}
+                  y2={p2.y_px}
+                  stroke="#ec4899"
+                  strokeWidth={1.5}
+                  strokeDasharray="5 3"
+                  pointerEvents="none"
+                />
+              );
+            })}
+
+            {marquee && (
+              <rect
+                x={Math.min(marquee.x0, marquee.x1)}
+                y={Math.min(marquee.y0, marquee.y1)}
+                width={Math.abs(marquee.x1 - marquee.x0)}
+                height={Math.abs(marquee.y1 - marquee.y0)}
+                fill="#2563eb"
+                fillOpacity={0.12}
+                stroke="#2563eb"
+                strokeDasharray="4 3"
+                pointerEvents="none"
+              />
+            )}
+
             {/* ORIGIN */}
             {(() => {
               const o = mmToPx(0, 0);
@@ -3334,8 +5833,51 @@ const blueAreasList = useMemo(() => {
                       padding: "2px 4px",
                     }}
                   />
+
+                  <span style={{ fontSize: 11, fontWeight: 700 }}>{t.rotation}</span>
+
+                  <input
+                    type="number"
+                    step="any"
+                    value={areaMenu.draftRotation}
+                    onChange={(e) =>
+                      setAreaMenu((m) => ({ ...m, draftRotation: e.target.value }))
+                    }
+                    style={{
+                      width: 56,
+                      height: 24,
+                      fontSize: 12,
+                      borderRadius: 6,
+                      border: "1px solid #9ca3af",
+                      padding: "2px 4px",
+                    }}
+                  />
+
+                  <span style={{ fontSize: 11, fontWeight: 700 }}>{t.boxHeight}</span>
+
+                  <input
+                    type="number"
+                    value={areaMenu.draftBoxHeight}
+                    onChange={(e) =>
+                      setAreaMenu((m) => ({ ...m, draftBoxHeight: e.target.value }))
+                    }
+                    style={{
+                      width: 56,
+                      height: 24,
+                      fontSize: 12,
+                      borderRadius: 6,
+                      border: "1px solid #9ca3af",
+                      padding: "2px 4px",
+                    }}
+                  />
                 </div>
 
+                {areaMenu.error ? (
+                  <div style={{ marginTop: 4, color: "#b00020", fontSize: 11 }}>
+                    {areaMenu.error}
+                  </div>
+                ) : null}
+
                 {/* Botones */}
                 <div
                   style={{
@@ -3549,6 +6091,84 @@ const blueAreasList = useMemo(() => {
                       >
                         {t.loadedAreas}:  {paintAreas?.length ?? 0}
                       </div>
+
+                      <div
+                        style={{
+                          marginTop: 10,
+                          paddingTop: 10,
+                          borderTop: "1px solid #e5e7eb",
+                          display: "grid",
+                          gap: 6,
+                          fontSize: 12,
+                        }}
+                      >
+                        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                          <input
+                            value={polygonDraftLabel}
+                            onChange={(e) => setPolygonDraftLabel(e.target.value)}
+                            placeholder={t.polygonLabel}
+                            style={{ width: 90, height: 26, fontSize: 12, borderRadius: 6, padding: "2px 6px" }}
+                          />
+                          <button
+                            onClick={togglePolygonDrawMode}
+                            style={{
+                              flex: 1,
+                              height: 28,
+                              borderRadius: 6,
+                              border: "1px solid #2563eb",
+                              background: polygonDrawMode ? "#2563eb" : "#ffffff",
+                              color: polygonDrawMode ? "#ffffff" : "#1d4ed8",
+                              fontWeight: 700,
+                              fontSize: 12,
+                              cursor: "pointer",
+                            }}
+                          >
+                            ✏️ {polygonDrawMode ? t.cancelPolygon : t.drawPolygon}
+                          </button>
+                        </div>
+
+                        {polygonDrawMode && (
+                          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                            <span style={{ flex: 1, color: "#6b7280" }}>
+                              {t.polygonDrawHint} ({polygonDraft.length})
+                            </span>
+                            <button
+                              onClick={finishPolygonDraft}
+                              disabled={polygonDraft.length < MIN_POLYGON_POINTS}
+                              style={{ height: 26, padding: "0 10px", borderRadius: 6, border: "none", background: "#2563eb", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                            >
+                              {t.closePolygon}
+                            </button>
+                          </div>
+                        )}
+
+                        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                          {t.editVertices}
+                          <select
+                            value={vertexEditLabel}
+                            onChange={(e) => {
+                              setVertexEditLabel(e.target.value);
+                              cancelPolygonDraft();
+                            }}
+                            style={{ flex: 1, height: 26, fontSize: 12, borderRadius: 6 }}
+                          >
+                            <option value="">—</option>
+                            {referenceAreaLabels.map((label) => (
+                              <option key={label} value={label}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+
+                        {vertexEditLabel && (
+                          <div style={{ color: "#6b7280" }}>{t.vertexEditHint}</div>
+                        )}
+
+                        {polygonError ? (
+                          <div style={{ color: "#b00020" }}>{polygonError}</div>
+                        ) : null}
+                      </div>
                     </>
                   )}
                 </div>
@@ -3563,8 +6183,123 @@ const blueAreasList = useMemo(() => {
 
 
 
-      {/* codigo agregar pisos */}
-</div>
+      {/* codigo agregar pisos */}
+</div>
+
+
+        {/* perfil de celda */}
+        <div style={sectionGroupStyle}>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 8,
+              flexWrap: "nowrap",
+            }}
+          >
+            <div
+              style={{
+                fontSize: 12,
+                fontWeight: 800,
+                color: "#374151",
+                textTransform: "uppercase",
+                letterSpacing: 0.4,
+                whiteSpace: "nowrap",
+              }}
+            >
+              {t.cellProfileTitle}: {cellProfile.name}
+            </div>
+
+            <button
+              onClick={() => setCellProfilePanelOpen((v) => !v)}
+              style={{
+                border: "1px solid #0f766e",
+                background: cellProfilePanelOpen ? "#0f766e" : "#ccfbf1",
+                color: cellProfilePanelOpen ? "#ffffff" : "#115e59",
+                borderRadius: 6,
+                padding: "4px 8px",
+                cursor: "pointer",
+                fontSize: 12,
+                fontWeight: 700,
+                lineHeight: 1.1,
+                whiteSpace: "nowrap",
+                flexShrink: 0,
+              }}
+            >
+              {cellProfilePanelOpen ? t.close : t.open}
+            </button>
+          </div>
+
+          {cellProfilePanelOpen && (
+            <div style={{ display: "grid", gap: 6, marginTop: 8 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <label style={{ fontSize: 11, fontWeight: 700, width: 150 }}>
+                  {t.cellProfileName}
+                </label>
+                <input
+                  value={cellProfileDraft.name}
+                  onChange={(e) =>
+                    setCellProfileDraft((d) => ({ ...d, name: e.target.value }))
+                  }
+                  style={{ flex: 1, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                />
+              </div>
+
+              {CELL_PROFILE_NUMERIC_FIELDS.map((key) => (
+                <div key={key} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <label style={{ fontSize: 11, fontWeight: 700, width: 150 }}>
+                    {t.cellProfileFields?.[key] ?? key}
+                  </label>
+                  <input
+                    type="number"
+                    value={cellProfileDraft[key]}
+                    onChange={(e) =>
+                      setCellProfileDraft((d) => ({ ...d, [key]: e.target.value }))
+                    }
+                    style={{ width: 90, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+                  />
+                </div>
+              ))}
+
+              <div style={{ display: "flex", gap: 6, justifyContent: "center" }}>
+                <button
+                  onClick={applyCellProfileDraft}
+                  style={{
+                    height: 28,
+                    padding: "0 12px",
+                    borderRadius: 6,
+                    border: "none",
+                    background: "#0f766e",
+                    color: "#fff",
+                    fontWeight: 700,
+                    fontSize: 12,
+                    cursor: "pointer",
+                  }}
+                >
+                  {t.apply}
+                </button>
+
+                <button
+                  onClick={() => setCellProfile({ ...DEFAULT_CELL_PROFILE })}
+                  style={{
+                    height: 28,
+                    padding: "0 12px",
+                    borderRadius: 6,
+                    border: "1px solid #0f766e",
+                    background: "#fff",
+                    color: "#0f766e",
+                    fontWeight: 700,
+                    fontSize: 12,
+                    cursor: "pointer",
+                  }}
+                >
+                  {t.resetDefaults}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
 
 
 
@@ -3617,49 +6352,47 @@ const blueAreasList = useMemo(() => {
 
           {luaPanelOpen && (
             <>
+              <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 10 }}>
+                <span style={{ fontSize: 12, fontWeight: 600, color: "#5b21b6" }}>
+                  {t.programTarget}
+                </span>
+                <select
+                  value={programTarget}
+                  onChange={(e) => {
+                    setProgramTarget(e.target.value);
+                    setLuaFloorText("");
+                    setProgramFilename("");
+                  }}
+                  style={{
+                    flex: 1,
+                    padding: "4px 6px",
+                    borderRadius: 6,
+                    border: "1px solid #c4b5fd",
+                    fontSize: 12,
+                  }}
+                >
+                  {programTargets.map((pp) => (
+                    <option key={pp.id} value={pp.id}>
+                      {pp.label} ({pp.extension})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <button
                 onClick={() => {
-                  const boxes = sortBoxesForLua(
-                    (paintAreas ?? [])
-                      .filter((a) => a.source === "single")
-                      .filter((a) =>
-                        blueAreasFloorFilter === "ALL"
-                          ? true
-                          : String(a.floor) === String(blueAreasFloorFilter)
-                      )
-                      .map((a) => {
-                        const p = areaSummaryPointMm(a);
-                        const floorNumber = a.floor ?? 1;
-                        const floorDef = floorDefs.find(
-                          (f) => Number(f.floor) === Number(floorNumber)
-                        );
-
-                        const xs = (a.points ?? []).map((p) => p.x);
-                        const ys = (a.points ?? []).map((p) => p.y);
-
-                        const w = Math.round(Math.max(...xs) - Math.min(...xs));
-                        const h = Math.round(Math.max(...ys) - Math.min(...ys));
-
-                        return {
-                          id: a.id,
-                          label: a.label,
-                          x: p.x,
-                          y: p.y,
-                          floor: floorNumber,
-                          rotationDeg: a.rotationDeg ?? 0,
-                          zBase: Number(floorDef?.zBase ?? -900),
-                          w,
-                          h,
-                        };
-                      })
-                  );
-
-                    const lua = generateLuaAllFloors({
+                  const program = renderRobotProgram({
+                    target: programTarget,
+                    motionPlan: buildMotionPlanAllFloors({
                       paintAreas,
                       floorDefs,
-                    });
+                      cellProfile,
+                    }),
+                    cellProfile,
+                  });
 
-                    setLuaFloorText(lua);
+                  setLuaFloorText(program.content);
+                  setProgramFilename(program.filename);
                 }}
                 style={{
                   marginTop: 10,
@@ -3698,10 +6431,17 @@ const blueAreasList = useMemo(() => {
               <button
                 onClick={() => {
                   if (!luaFloor1Text.trim()) {
-                    alert("Primero genera el código LUA.");
+                    alert("Primero genera el programa.");
+                    return;
+                  }
+                  if (hasCollidingBoxes) {
+                    alert("Hay cajas que se solapan en el mismo piso. Corrige eso antes de exportar LUA.");
                     return;
                   }
-                  downloadTextFile("piso1_lua.txt", luaFloor1Text);
+                  downloadTextFile(
+                    programFilename || "programa_paletizado.lua",
+                    luaFloor1Text
+                  );
                 }}
                 style={{
                   marginTop: 8,
@@ -3716,124 +6456,696 @@ const blueAreasList = useMemo(() => {
                   fontSize: 13,
                 }}
               >
-                {t.exportLua} 
+                {t.exportLua} ({programTargets.find((pp) => pp.id === programTarget)?.extension})
               </button>
             </>
           )}
         </div>
 
 
-        <div style={sectionGroupStyle}>
-          <div
+        <div style={sectionGroupStyle}>
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 8,
+              flexWrap: "nowrap",
+            }}
+          >
+            <div
+              style={{
+                fontSize: 12,
+                fontWeight: 800,
+                color: "#374151",
+                textTransform: "uppercase",
+                letterSpacing: 0.4,
+                whiteSpace: "nowrap",
+              }}
+            >
+              {t.projectsTitle}
+            </div>
+
+            <button
+              onClick={() => setProjectPanelOpen((v) => !v)}
+              style={{
+                border: "1px solid #7c3aed",
+                background: projectPanelOpen ? "#7c3aed" : "#ede9fe",
+                color: projectPanelOpen ? "#ffffff" : "#5b21b6",
+                borderRadius: 6,
+                padding: "4px 8px",
+                cursor: "pointer",
+                fontSize: 12,
+                fontWeight: 700,
+                lineHeight: 1.1,
+                whiteSpace: "nowrap",
+                flexShrink: 0,
+              }}
+            >
+              {projectPanelOpen ? t.close : t.open}
+            </button>
+          </div>
+
+          {projectPanelOpen && (
+            <div style={{ display: "grid", gap: 8, marginTop: 10 }}>
+              <button
+                onClick={exportProjectToJson}
+                style={{
+                  padding: "8px 10px",
+                  cursor: "pointer",
+                  width: "100%",
+                  borderRadius: 8,
+                  border: "none",
+                  background: "#2563eb",
+                  color: "#fff",
+                  fontWeight: 600,
+                  fontSize: 13,
+                }}
+              >
+                {t.saveProject}
+              </button>
+
+              <button
+                onClick={exportFairinoProjectJson}
+                style={{
+                  marginTop: 6,
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "none",
+                  background: "#059669",
+                  color: "#fff",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                Exportar FAIRINO (.json)
+              </button>
+
+              <button
+                onClick={exportBoxesCsv}
+                style={{
+                  padding: "8px 10px",
+                  borderRadius: 8,
+                  border: "1px solid #059669",
+                  background: "#ecfdf5",
+                  color: "#065f46",
+                  fontWeight: 700,
+                  cursor: "pointer",
+                }}
+              >
+                {t.exportBoxesCsv}
+              </button>
+
+              <button
+                onClick={() => importProjectInputRef.current?.click()}
+                style={{
+                  padding: "8px 10px",
+                  cursor: "pointer",
+                  width: "100%",
+                  borderRadius: 8,
+                  border: "none",
+                  background: "#7c3aed",
+                  color: "#fff",
+                  fontWeight: 600,
+                  fontSize: 13,
+                }}
+              >
+                {t.loadProject}
+              </button>
+
+              <input
+                ref={importProjectInputRef}
+                type="file"
+                accept=".json,application/json,.lua,.csv,.tsv,text/csv"
+                style={{ display: "none" }}
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  importProjectFromFile(file);
+                  e.target.value = "";
+                }}
+              />
+
+              <div
+                style={{
+                  marginTop: 4,
+                  paddingTop: 8,
+                  borderTop: "1px solid #e5e7eb",
+                  display: "grid",
+                  gap: 6,
+                  fontSize: 12,
+                }}
+              >
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                  <span style={{ fontWeight: 700, color: "#374151" }}>{t.serverTitle}</span>
+                  <Link to="/projects" style={{ color: "#5b21b6", fontWeight: 700 }}>
+                    {t.libraryTitle} →
+                  </Link>
+                </div>
+
+                <div style={{ display: "flex", gap: 6 }}>
+                  <input
+                    value={remoteName}
+                    onChange={(e) => setRemoteName(e.target.value)}
+                    placeholder={t.projectName}
+                    style={{ flex: 1, height: 28, fontSize: 12, borderRadius: 6, padding: "2px 6px" }}
+                  />
+                  <button
+                    onClick={() => saveProjectToServer()}
+                    disabled={remoteBusy}
+                    style={{ padding: "4px 8px", borderRadius: 6, border: "none", background: "#7c3aed", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                  >
+                    {remoteProjectId ? t.saveRevision : t.saveToServer}
+                  </button>
+                  {remoteProjectId && (
+                    <button
+                      onClick={() => saveProjectToServer({ asNew: true })}
+                      disabled={remoteBusy}
+                      style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #7c3aed", background: "#fff", color: "#5b21b6", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                    >
+                      {t.saveAsNew}
+                    </button>
+                  )}
+                </div>
+
+                <div style={{ display: "flex", gap: 6 }}>
+                  <select
+                    value={remoteSelectedId}
+                    onChange={(e) => setRemoteSelectedId(e.target.value)}
+                    style={{ flex: 1, height: 28, fontSize: 12, borderRadius: 6 }}
+                  >
+                    {remoteProjects.length === 0 && <option value="">—</option>}
+                    {remoteProjects.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name} · rev {p.revision} · {new Date(p.updatedAt).toLocaleDateString()}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={refreshRemoteProjects}
+                    disabled={remoteBusy}
+                    title={t.refresh}
+                    style={{ padding: "4px 8px", borderRadius: 6, border: "1px solid #d1d5db", background: "#fff", fontSize: 12, cursor: "pointer" }}
+                  >
+                    ↻
+                  </button>
+                  <button
+                    onClick={() => openRemoteProject(remoteSelectedId)}
+                    disabled={remoteBusy || !remoteSelectedId}
+                    style={{ padding: "4px 8px", borderRadius: 6, border: "none", background: "#2563eb", color: "#fff", fontWeight: 700, fontSize: 12, cursor: "pointer" }}
+                  >
+                    {t.openProject}
+                  </button>
+                </div>
+
+                {remoteRevisions.length > 0 && (
+                  <div style={{ display: "grid", gap: 2, maxHeight: 120, overflowY: "auto" }}>
+                    {remoteRevisions.map((r) => (
+                      <div key={`rev-${r.rev}`} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                        <span style={{ flex: 1 }}>
+                          rev {r.rev} · {new Date(r.createdAt).toLocaleString()}
+                          {r.message ? ` · ${r.message}` : ""}
+                        </span>
+                        <button
+                          onClick={() => openRemoteRevision(r.rev)}
+                          disabled={remoteBusy}
+                          style={{ padding: "2px 6px", borderRadius: 4, border: "none", background: "#ede9fe", color: "#5b21b6", fontSize: 11, cursor: "pointer" }}
+                        >
+                          {t.openProject}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {remoteStatus.error && <div style={{ color: "#b00020" }}>{remoteStatus.error}</div>}
+                {remoteStatus.message && <div style={{ color: "#065f46" }}>✓ {remoteStatus.message}</div>}
+              </div>
+
+              <div
+                style={{
+                  marginTop: 4,
+                  paddingTop: 8,
+                  borderTop: "1px solid #e5e7eb",
+                  display: "grid",
+                  gap: 6,
+                  fontSize: 12,
+                }}
+              >
+                <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6, flex: 1 }}>
+                    <input
+                      type="checkbox"
+                      checked={autosaveEnabled}
+                      disabled={!isAutosaveAvailable()}
+                      onChange={(e) => setAutosaveEnabled(e.target.checked)}
+                    />
+                    {t.autosave} ({AUTOSAVE_INTERVAL_MS / 1000} s)
+                  </label>
+
+                  <button
+                    onClick={() => autosaveNow({ force: true })}
+                    disabled={!isAutosaveAvailable()}
+                    style={{
+                      padding: "4px 8px",
+                      borderRadius: 6,
+                      border: "1px solid #7c3aed",
+                      background: "#ffffff",
+                      color: "#5b21b6",
+                      fontWeight: 700,
+                      fontSize: 12,
+                      cursor: "pointer",
+                    }}
+                  >
+                    {t.autosaveNow}
+                  </button>
+                </div>
+
+                {lastAutosaveAt && (
+                  <div style={{ color: "#6b7280" }}>
+                    {t.autosaveLast}: {new Date(lastAutosaveAt).toLocaleTimeString()}
+                  </div>
+                )}
+
+                <div style={{ fontWeight: 700, color: "#374151" }}>{t.recentSnapshots}</div>
+
+                {autosaveSnapshots.length === 0 ? (
+                  <div style={{ color: "#6b7280" }}>{t.noSnapshots}</div>
+                ) : (
+                  <div style={{ display: "grid", gap: 4, maxHeight: 180, overflowY: "auto" }}>
+                    {autosaveSnapshots.map((snap) => (
+                      <div
+                        key={`snap-${snap.id}`}
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          gap: 6,
+                          padding: "4px 6px",
+                          borderRadius: 6,
+                          background: "#f9fafb",
+                          border: "1px solid #e5e7eb",
+                        }}
+                      >
+                        <span style={{ flex: 1 }}>
+                          {new Date(snap.savedAt).toLocaleString()}
+                          <span style={{ color: "#6b7280" }}>
+                            {" "}
+                            · {snap.boxCount} {t.boxesShort} · {snap.floorCount} {t.floorsShort}
+                          </span>
+                        </span>
+                        <button
+                          onClick={() => restoreSnapshot(snap.id)}
+                          style={{ padding: "2px 6px", borderRadius: 4, border: "none", background: "#7c3aed", color: "#fff", fontSize: 11, cursor: "pointer" }}
+                        >
+                          {t.restore}
+                        </button>
+                        <button
+                          onClick={() => removeSnapshot(snap.id)}
+                          style={{ padding: "2px 6px", borderRadius: 4, border: "none", background: "#fee2e2", color: "#991b1b", fontSize: 11, cursor: "pointer" }}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+
+
+
+    {/* estabilidad entre pisos */}
+    <div style={sectionGroupStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: 8,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            fontWeight: 800,
+            color: "#374151",
+            textTransform: "uppercase",
+            letterSpacing: 0.4,
+            whiteSpace: "nowrap",
+          }}
+        >
+          {t.stabilityTitle}
+        </div>
+
+        <button
+          onClick={() => setStabilityPanelOpen((v) => !v)}
+          style={{
+            border: "1px solid #d97706",
+            background: stabilityPanelOpen ? "#d97706" : "#fef3c7",
+            color: stabilityPanelOpen ? "#ffffff" : "#92400e",
+            borderRadius: 6,
+            padding: "4px 8px",
+            cursor: "pointer",
+            fontSize: 12,
+            fontWeight: 700,
+            lineHeight: 1.1,
+            whiteSpace: "nowrap",
+            flexShrink: 0,
+          }}
+        >
+          {stabilityPanelOpen ? t.close : t.open}
+        </button>
+      </div>
+
+      {stabilityPanelOpen && (
+        <div style={{ display: "grid", gap: 6, marginTop: 8, fontSize: 12 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <label style={{ fontWeight: 700 }}>{t.supportThreshold}</label>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={supportThresholdPct}
+              onChange={(e) => setSupportThresholdPct(Number(e.target.value) || 0)}
+              style={{ width: 60, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+            />
+          </div>
+
+          {floorSupport.floors.map((f) => (
+            <div
+              key={`support-${f.floor}`}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                padding: "2px 6px",
+                borderRadius: 5,
+                background: f.unstableCount > 0 ? "#fef3c7" : "#fff",
+                border: "1px solid #e5e7eb",
+              }}
+            >
+              <span>
+                <strong>P{f.floor}</strong>
+                {f.belowFloor === null ? ` (${t.onPallet})` : ` / P${f.belowFloor}`}
+              </span>
+              <span>
+                {t.stabilityScore}: {f.stabilityPct}% · min {f.minSupportPct}%
+              </span>
+            </div>
+          ))}
+
+          {unstableBoxes.length > 0 ? (
+            <div style={{ color: "#92400e", fontWeight: 700 }}>
+              {t.unstableBoxes}:{" "}
+              {unstableBoxes
+                .map((b) => `${b.label} (${b.supportPct}%)`)
+                .join(", ")}
+            </div>
+          ) : (
+            <div style={{ color: "#166534", fontWeight: 700 }}>{t.allBoxesSupported}</div>
+          )}
+        </div>
+      )}
+    </div>
+
+
+    {/* historial deshacer / rehacer */}
+    <div style={sectionGroupStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: 8,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            fontWeight: 800,
+            color: "#374151",
+            textTransform: "uppercase",
+            letterSpacing: 0.4,
+            whiteSpace: "nowrap",
+          }}
+        >
+          {t.historyTitle}
+        </div>
+
+        <div style={{ display: "flex", gap: 4 }}>
+          <button
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title="Ctrl+Z"
             style={{
-              display: "flex",
-              justifyContent: "space-between",
-              alignItems: "center",
-              gap: 8,
-              flexWrap: "nowrap",
+              border: "1px solid #475569",
+              background: "#f1f5f9",
+              color: "#0f172a",
+              borderRadius: 6,
+              padding: "4px 8px",
+              cursor: history.past.length === 0 ? "not-allowed" : "pointer",
+              opacity: history.past.length === 0 ? 0.5 : 1,
+              fontSize: 12,
+              fontWeight: 700,
+              lineHeight: 1.1,
             }}
           >
-            <div
-              style={{
-                fontSize: 12,
-                fontWeight: 800,
-                color: "#374151",
-                textTransform: "uppercase",
-                letterSpacing: 0.4,
-                whiteSpace: "nowrap",
-              }}
-            >
-              {t.projectsTitle}
-            </div>
+            ↶ {t.undo}
+          </button>
+          <button
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title="Ctrl+Shift+Z"
+            style={{
+              border: "1px solid #475569",
+              background: "#f1f5f9",
+              color: "#0f172a",
+              borderRadius: 6,
+              padding: "4px 8px",
+              cursor: history.future.length === 0 ? "not-allowed" : "pointer",
+              opacity: history.future.length === 0 ? 0.5 : 1,
+              fontSize: 12,
+              fontWeight: 700,
+              lineHeight: 1.1,
+            }}
+          >
+            ↷ {t.redo}
+          </button>
+          <button
+            onClick={() => setHistoryPanelOpen((v) => !v)}
+            style={{
+              border: "1px solid #475569",
+              background: historyPanelOpen ? "#475569" : "#e2e8f0",
+              color: historyPanelOpen ? "#ffffff" : "#1e293b",
+              borderRadius: 6,
+              padding: "4px 8px",
+              cursor: "pointer",
+              fontSize: 12,
+              fontWeight: 700,
+              lineHeight: 1.1,
+              whiteSpace: "nowrap",
+              flexShrink: 0,
+            }}
+          >
+            {historyPanelOpen ? t.close : t.open}
+          </button>
+        </div>
+      </div>
 
-            <button
-              onClick={() => setProjectPanelOpen((v) => !v)}
-              style={{
-                border: "1px solid #7c3aed",
-                background: projectPanelOpen ? "#7c3aed" : "#ede9fe",
-                color: projectPanelOpen ? "#ffffff" : "#5b21b6",
-                borderRadius: 6,
-                padding: "4px 8px",
-                cursor: "pointer",
-                fontSize: 12,
-                fontWeight: 700,
-                lineHeight: 1.1,
-                whiteSpace: "nowrap",
-                flexShrink: 0,
-              }}
-            >
-              {projectPanelOpen ? t.close : t.open}
-            </button>
-          </div>
+      {historyPanelOpen && (
+        <div
+          style={{
+            display: "grid",
+            gap: 3,
+            marginTop: 8,
+            maxHeight: 180,
+            overflowY: "auto",
+            fontSize: 12,
+          }}
+        >
+          {listHistory(history)
+            .map((entry, idx) => ({ entry, idx }))
+            .reverse()
+            .map(({ entry, idx }) => {
+              const isCurrent = idx === history.past.length;
+              const isFuture = idx > history.past.length;
 
-          {projectPanelOpen && (
-            <div style={{ display: "grid", gap: 8, marginTop: 10 }}>
-              <button
-                onClick={exportProjectToJson}
-                style={{
-                  padding: "8px 10px",
-                  cursor: "pointer",
-                  width: "100%",
-                  borderRadius: 8,
-                  border: "none",
-                  background: "#2563eb",
-                  color: "#fff",
-                  fontWeight: 600,
-                  fontSize: 13,
-                }}
-              >
-                {t.saveProject}
-              </button>
+              return (
+                <button
+                  key={`history-${idx}-${entry.ts}`}
+                  onClick={() => restoreHistory(jumpHistory(history, idx))}
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    padding: "3px 6px",
+                    borderRadius: 5,
+                    border: isCurrent ? "1px solid #475569" : "1px solid #e5e7eb",
+                    background: isCurrent ? "#e2e8f0" : "#fff",
+                    color: isFuture ? "#9ca3af" : "#111827",
+                    fontWeight: isCurrent ? 800 : 500,
+                    fontSize: 12,
+                    cursor: "pointer",
+                    textAlign: "left",
+                  }}
+                >
+                  <span>{t.historyActions?.[entry.action] ?? entry.action}</span>
+                  <span style={{ color: "#6b7280", fontFamily: "monospace" }}>
+                    {new Date(entry.ts).toLocaleTimeString()}
+                  </span>
+                </button>
+              );
+            })}
+        </div>
+      )}
+    </div>
 
-              <button
-                onClick={exportFairinoProjectJson}
-                style={{
-                  marginTop: 6,
-                  padding: "8px 10px",
-                  borderRadius: 8,
-                  border: "none",
-                  background: "#059669",
-                  color: "#fff",
-                  fontWeight: 700,
-                  cursor: "pointer",
-                }}
-              >
-                Exportar FAIRINO (.json)
-              </button>
 
-              <button
-                onClick={() => importProjectInputRef.current?.click()}
-                style={{
-                  padding: "8px 10px",
-                  cursor: "pointer",
-                  width: "100%",
-                  borderRadius: 8,
-                  border: "none",
-                  background: "#7c3aed",
-                  color: "#fff",
-                  fontWeight: 600,
-                  fontSize: 13,
-                }}
+    {/* secuencia de colocación */}
+    <div style={sectionGroupStyle}>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: 8,
+        }}
+      >
+        <div
+          style={{
+            fontSize: 12,
+            fontWeight: 800,
+            color: "#374151",
+            textTransform: "uppercase",
+            letterSpacing: 0.4,
+            whiteSpace: "nowrap",
+          }}
+        >
+          {t.sequenceTitle}
+        </div>
+
+        <button
+          onClick={() => setSequencePanelOpen((v) => !v)}
+          style={{
+            border: "1px solid #0d9488",
+            background: sequencePanelOpen ? "#0d9488" : "#ccfbf1",
+            color: sequencePanelOpen ? "#ffffff" : "#115e59",
+            borderRadius: 6,
+            padding: "4px 8px",
+            cursor: "pointer",
+            fontSize: 12,
+            fontWeight: 700,
+            lineHeight: 1.1,
+            whiteSpace: "nowrap",
+            flexShrink: 0,
+          }}
+        >
+          {sequencePanelOpen ? t.close : t.open}
+        </button>
+      </div>
+
+      {sequencePanelOpen && (
+        <div style={{ display: "grid", gap: 6, marginTop: 8, fontSize: 12 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <label style={{ fontWeight: 700 }}>{t.floor}</label>
+            <select
+              value={sequenceFloor}
+              onChange={(e) => setSequenceFloor(Number(e.target.value))}
+              style={{ height: 24, fontSize: 12, borderRadius: 6 }}
+            >
+              {(floorDefs ?? []).map((f) => (
+                <option key={`seq-floor-${f.floor}`} value={f.floor}>
+                  {f.floor}
+                </option>
+              ))}
+            </select>
+
+            <label style={{ fontWeight: 700 }}>{t.sequenceStrategy}</label>
+            <select
+              value={sequenceSettings.strategy}
+              disabled={!sequenceFloorDef}
+              onChange={(e) =>
+                updateFloorSequence(sequenceFloor, {
+                  strategy: e.target.value,
+                  order:
+                    e.target.value === "manual"
+                      ? sequencedFloorBoxes.map((b) => String(b.id))
+                      : sequenceSettings.order,
+                })
+              }
+              style={{ flex: 1, height: 24, fontSize: 12, borderRadius: 6 }}
+            >
+              {SEQUENCE_STRATEGIES.map((s) => (
+                <option key={s} value={s}>
+                  {t.sequenceStrategies?.[s] ?? s}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {sequenceSettings.strategy === "row-major" && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <label style={{ fontWeight: 700 }}>{t.palletCorner}</label>
+              <select
+                value={sequenceSettings.corner}
+                disabled={!sequenceFloorDef}
+                onChange={(e) =>
+                  updateFloorSequence(sequenceFloor, { corner: e.target.value })
+                }
+                style={{ flex: 1, height: 24, fontSize: 12, borderRadius: 6 }}
               >
-                {t.loadProject}
-              </button>
+                {PALLET_CORNERS.map((c) => (
+                  <option key={c} value={c}>
+                    {t.palletCorners?.[c] ?? c}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
-              <input
-                ref={importProjectInputRef}
-                type="file"
-                accept=".json,application/json"
-                style={{ display: "none" }}
-                onChange={(e) => {
-                  const file = e.target.files?.[0];
-                  importProjectFromFile(file);
-                  e.target.value = "";
-                }}
-              />
+          {sequencedFloorBoxes.length === 0 ? (
+            <div style={{ color: "#6b7280" }}>{t.noFloorBoxes}</div>
+          ) : (
+            <div style={{ display: "grid", gap: 3, maxHeight: 180, overflowY: "auto" }}>
+              {sequencedFloorBoxes.map((b, idx) => (
+                <div
+                  key={`seq-${b.id}`}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 6,
+                    padding: "2px 6px",
+                    borderRadius: 5,
+                    border: "1px solid #e5e7eb",
+                    background: "#fff",
+                  }}
+                >
+                  <span style={{ width: 22, fontWeight: 800, color: "#0d9488" }}>{idx + 1}</span>
+                  <span style={{ flex: 1, fontWeight: 700 }}>{b.label}</span>
+                  <span style={{ color: "#6b7280" }}>
+                    ({b.x}, {b.y})
+                  </span>
+                  <button
+                    onClick={() => moveSequenceItem(idx, -1)}
+                    disabled={!sequenceFloorDef || idx === 0}
+                    style={{ padding: "0 6px", fontSize: 11, cursor: "pointer" }}
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() => moveSequenceItem(idx, 1)}
+                    disabled={!sequenceFloorDef || idx === sequencedFloorBoxes.length - 1}
+                    style={{ padding: "0 6px", fontSize: 11, cursor: "pointer" }}
+                  >
+                    ▼
+                  </button>
+                </div>
+              ))}
             </div>
           )}
         </div>
-
-
+      )}
+    </div>
 
 
     {/* Codigo derecho mover cajas */}
@@ -3902,6 +7214,27 @@ const blueAreasList = useMemo(() => {
         <div style={{ fontSize: 11, color: "#6b7280", marginTop: 6 }}>
           {t.dragUnitDesc}
         </div>
+
+        <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, fontSize: 12 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 4, fontWeight: 700 }}>
+            <input
+              type="checkbox"
+              checked={objectSnapEnabled}
+              onChange={(e) => setObjectSnapEnabled(e.target.checked)}
+            />
+            {t.objectSnap}
+          </label>
+          <label style={{ fontWeight: 700 }}>{t.gap}</label>
+          <input
+            type="number"
+            min={0}
+            value={objectSnapGapMm}
+            disabled={!objectSnapEnabled}
+            onChange={(e) => setObjectSnapGapMm(Number(e.target.value) || 0)}
+            style={{ width: 50, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+          />
+          <span style={{ color: "#6b7280" }}>mm</span>
+        </div>
       </div>
 
 
@@ -3935,18 +7268,29 @@ const blueAreasList = useMemo(() => {
 
 
 
+<div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+  <label style={{ fontSize: 11, fontWeight: 700 }}>{t.collisionClearance}</label>
+  <input
+    type="number"
+    min={0}
+    value={collisionClearanceMm}
+    onChange={(e) => setCollisionClearanceMm(Math.max(0, Number(e.target.value) || 0))}
+    style={{ width: 60, height: 24, fontSize: 12, borderRadius: 6, padding: "2px 4px" }}
+  />
+</div>
+
 <button
-  onClick={exportFairinoLuaFile} disabled={hasInvalidFairinoBoxes}
+  onClick={exportFairinoLuaFile} disabled={hasInvalidFairinoBoxes || hasCollidingBoxes}
   style={{
     marginTop: 6,
     padding: "8px 10px",
     borderRadius: 8,
     border: "none",
-    background: hasInvalidFairinoBoxes ? "#9ca3af" : "#7c3aed",
+    background: hasInvalidFairinoBoxes || hasCollidingBoxes ? "#9ca3af" : "#7c3aed",
     color: "#fff",
     fontWeight: 700,
-    cursor: hasInvalidFairinoBoxes ? "not-allowed" : "pointer",
-    opacity: hasInvalidFairinoBoxes ? 0.7 : 1,
+    cursor: hasInvalidFairinoBoxes || hasCollidingBoxes ? "not-allowed" : "pointer",
+    opacity: hasInvalidFairinoBoxes || hasCollidingBoxes ? 0.7 : 1,
   }}
 >
   Exportar LUA FAIRINO (.lua)
@@ -3957,7 +7301,9 @@ const blueAreasList = useMemo(() => {
           <RobotScene3D
             paintAreas={normalizePaintAreasFor3D(paintAreas)}
             floorDefs={floorDefs}
+            motionPlan={motionPlan3D}
             height={220}
+            t={t}
           />
         </div>
 
@@ -4021,6 +7367,43 @@ const blueAreasList = useMemo(() => {
     </div>
   )}
 
+  {hasCollidingBoxes ? (
+    <div
+      style={{
+        marginTop: 8,
+        padding: 8,
+        borderRadius: 8,
+        background: "#fee2e2",
+        color: "#991b1b",
+        fontSize: 12,
+        fontWeight: 700,
+      }}
+    >
+      Cajas que se solapan en el mismo piso: {collidingLabels.join(", ")}. No se puede exportar LUA todavía.
+    </div>
+  ) : null}
+
+  {(fairinoPreview?.unreachableBoxes ?? []).length > 0 ? (
+    <div
+      style={{
+        marginTop: 8,
+        padding: 8,
+        borderRadius: 8,
+        background: "#f3e8ff",
+        color: "#6b21a8",
+        fontSize: 12,
+        fontWeight: 700,
+      }}
+    >
+      Cajas fuera del alcance del robot:{" "}
+      {(fairinoPreview?.boxes ?? [])
+        .filter((b) => b.isReachable === false)
+        .map((b) => `${b.label} (${b.reachIssues.join(", ")})`)
+        .join("; ")}
+      . Revisa el radio y los límites de Z del perfil de celda.
+    </div>
+  ) : null}
+
 
       </div>
     </div>
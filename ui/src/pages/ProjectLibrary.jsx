@@ -0,0 +1,352 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { messages } from "../i18n";
+import { rectAreaFromCenter, rotatePolygon } from "../utils/geometry";
+import {
+  PROJECT_API_URL,
+  deleteRemoteProject,
+  duplicateRemoteProject,
+  forgetRecentProject,
+  getRecentProjects,
+  listRemoteProjects,
+  updateRemoteProject,
+} from "../services/projectService";
+
+const THUMB_SIZE = 160;
+
+// mismo sentido que el canvas: X invertido (izquierda = +X), arriba = -Y
+function ProjectThumbnail({ thumbnail }) {
+  const shapes = useMemo(() => {
+    const boxes = (thumbnail?.boxes ?? []).map((b) => {
+      const pts = rectAreaFromCenter(b.x, b.y, b.w, b.h);
+      return b.rotationDeg ? rotatePolygon(pts, b.rotationDeg) : pts;
+    });
+
+    return { boxes, references: thumbnail?.referenceAreas ?? [] };
+  }, [thumbnail]);
+
+  const all = [...shapes.boxes, ...shapes.references].flat();
+
+  if (all.length === 0) {
+    return (
+      <div
+        style={{
+          width: THUMB_SIZE,
+          height: THUMB_SIZE,
+          display: "grid",
+          placeItems: "center",
+          background: "#f3f4f6",
+          borderRadius: 8,
+          color: "#9ca3af",
+          fontSize: 12,
+        }}
+      >
+        —
+      </div>
+    );
+  }
+
+  const xs = all.map((p) => -p.x);
+  const ys = all.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+  const pad = span * 0.05;
+
+  const toAttr = (pts) => pts.map((p) => `${-p.x},${p.y}`).join(" ");
+
+  return (
+    <svg
+      width={THUMB_SIZE}
+      height={THUMB_SIZE}
+      viewBox={`${minX - pad} ${minY - pad} ${span + pad * 2} ${span + pad * 2}`}
+      style={{ background: "#f9fafb", borderRadius: 8, border: "1px solid #e5e7eb" }}
+    >
+      {shapes.references.map((pts, idx) => (
+        <polygon
+          key={`ref-${idx}`}
+          points={toAttr(pts)}
+          fill="#e5e7eb"
+          stroke="#9ca3af"
+          strokeWidth={span / 200}
+        />
+      ))}
+      {shapes.boxes.map((pts, idx) => (
+        <polygon
+          key={`box-${idx}`}
+          points={toAttr(pts)}
+          fill="#60a5fa"
+          fillOpacity={0.8}
+          stroke="#1d4ed8"
+          strokeWidth={span / 250}
+        />
+      ))}
+    </svg>
+  );
+}
+
+const buttonStyle = {
+  padding: "4px 8px",
+  borderRadius: 6,
+  border: "1px solid #d1d5db",
+  background: "#ffffff",
+  fontSize: 12,
+  fontWeight: 600,
+  cursor: "pointer",
+};
+
+export default function ProjectLibrary() {
+  const t = messages[localStorage.getItem("app_lang") || "es"] ?? messages.es;
+  const navigate = useNavigate();
+
+  const [query, setQuery] = useState("");
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [renamingId, setRenamingId] = useState("");
+  const [renameValue, setRenameValue] = useState("");
+  const [recent, setRecent] = useState(() => getRecentProjects());
+  const [reloadTick, setReloadTick] = useState(0);
+
+  const reload = () => setReloadTick((n) => n + 1);
+
+  // la búsqueda se lanza 250 ms después de dejar de escribir
+  useEffect(() => {
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError("");
+
+      try {
+        const list = await listRemoteProjects({ q: query });
+        if (!cancelled) setProjects(list);
+      } catch (e) {
+        if (!cancelled) setError(e.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, reloadTick]);
+
+  async function runAction(task) {
+    setError("");
+    try {
+      await task();
+      reload();
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function startRename(project) {
+    setRenamingId(project.id);
+    setRenameValue(project.name);
+  }
+
+  async function confirmRename() {
+    const name = renameValue.trim();
+    if (!name) return;
+
+    await runAction(() => updateRemoteProject(renamingId, { name }));
+    setRenamingId("");
+  }
+
+  async function removeProject(project) {
+    if (!window.confirm(`${t.libraryDeleteConfirm} "${project.name}"?`)) return;
+
+    await runAction(async () => {
+      await deleteRemoteProject(project.id);
+      forgetRecentProject(project.id);
+      setRecent(getRecentProjects());
+    });
+  }
+
+  // los recientes salen de localStorage, no de la búsqueda: siguen visibles
+  // al filtrar; si el proyecto está en la lista se usa su nombre actual
+  const recentProjects = useMemo(() => {
+    const byId = new Map(projects.map((p) => [p.id, p]));
+    return recent.map((r) => byId.get(r.id) ?? r);
+  }, [recent, projects]);
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        padding: 24,
+        boxSizing: "border-box",
+        background: "#7f818a",
+        color: "#1f2937",
+        fontFamily: "Inter, system-ui, Arial, sans-serif",
+      }}
+    >
+      <div
+        style={{
+          maxWidth: 1100,
+          margin: "0 auto",
+          display: "grid",
+          gap: 16,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 12,
+            padding: 12,
+            borderRadius: 12,
+            background: "#ffffff",
+            border: "1px solid #222222",
+          }}
+        >
+          <div style={{ fontSize: 16, fontWeight: 800, flex: 1 }}>{t.libraryTitle}</div>
+
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t.librarySearch}
+            style={{ width: 260, height: 30, borderRadius: 6, padding: "2px 8px", fontSize: 13 }}
+          />
+
+          <Link to="/" style={{ ...buttonStyle, textDecoration: "none", color: "#1f2937" }}>
+            {t.libraryBackToEditor}
+          </Link>
+        </div>
+
+        {error && (
+          <div
+            style={{
+              padding: 10,
+              borderRadius: 8,
+              background: "#fee2e2",
+              color: "#991b1b",
+              fontSize: 13,
+            }}
+          >
+            {error} ({PROJECT_API_URL})
+          </div>
+        )}
+
+        {recentProjects.length > 0 && (
+          <div
+            style={{
+              padding: 12,
+              borderRadius: 12,
+              background: "#ffffff",
+              border: "1px solid #222222",
+              display: "flex",
+              gap: 8,
+              alignItems: "center",
+              flexWrap: "wrap",
+              fontSize: 13,
+            }}
+          >
+            <b>{t.libraryRecent}:</b>
+            {recentProjects.map((p) => (
+              <button
+                key={`recent-${p.id}`}
+                onClick={() => navigate(`/project/${p.id}`)}
+                style={{ ...buttonStyle, background: "#ede9fe", borderColor: "#c4b5fd" }}
+              >
+                {p.name}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {loading && projects.length === 0 && (
+          <div style={{ color: "#ffffff", fontSize: 13 }}>{t.libraryLoading}</div>
+        )}
+
+        {!loading && !error && projects.length === 0 && (
+          <div style={{ color: "#ffffff", fontSize: 13 }}>{t.libraryEmpty}</div>
+        )}
+
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(auto-fill, minmax(320px, 1fr))",
+            gap: 12,
+          }}
+        >
+          {projects.map((p) => (
+            <div
+              key={p.id}
+              style={{
+                display: "flex",
+                gap: 12,
+                padding: 12,
+                borderRadius: 12,
+                background: "#ffffff",
+                border: "1px solid #222222",
+              }}
+            >
+              <div
+                onClick={() => navigate(`/project/${p.id}`)}
+                style={{ cursor: "pointer" }}
+                title={t.openProject}
+              >
+                <ProjectThumbnail thumbnail={p.thumbnail} />
+              </div>
+
+              <div style={{ flex: 1, display: "grid", gap: 6, alignContent: "start", fontSize: 12 }}>
+                {renamingId === p.id ? (
+                  <div style={{ display: "flex", gap: 4 }}>
+                    <input
+                      autoFocus
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") confirmRename();
+                        if (e.key === "Escape") setRenamingId("");
+                      }}
+                      style={{ flex: 1, height: 26, fontSize: 13, borderRadius: 6, padding: "2px 6px" }}
+                    />
+                    <button onClick={confirmRename} style={buttonStyle}>
+                      ✓
+                    </button>
+                  </div>
+                ) : (
+                  <div style={{ fontSize: 14, fontWeight: 800, wordBreak: "break-word" }}>{p.name}</div>
+                )}
+
+                <div style={{ color: "#4b5563" }}>
+                  {p.boxCount} {t.boxesShort} · {p.floorCount} {t.floorsShort} · rev {p.revision}
+                </div>
+                <div style={{ color: "#6b7280" }}>
+                  {t.libraryUpdated}: {new Date(p.updatedAt).toLocaleString()}
+                </div>
+
+                <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginTop: 4 }}>
+                  <button
+                    onClick={() => navigate(`/project/${p.id}`)}
+                    style={{ ...buttonStyle, background: "#2563eb", borderColor: "#2563eb", color: "#ffffff" }}
+                  >
+                    {t.openProject}
+                  </button>
+                  <button onClick={() => runAction(() => duplicateRemoteProject(p.id))} style={buttonStyle}>
+                    {t.duplicate}
+                  </button>
+                  <button onClick={() => startRename(p)} style={buttonStyle}>
+                    {t.rename}
+                  </button>
+                  <button
+                    onClick={() => removeProject(p)}
+                    style={{ ...buttonStyle, background: "#fee2e2", borderColor: "#fecaca", color: "#991b1b" }}
+                  >
+                    {t.delete}
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,22 +1,24 @@
 import React, { useEffect, useState } from "react";
 import RobotScene3D from "./RobotScene3D";
+import { messages } from "../i18n";
 
 function readRobot3DData() {
   try {
     const raw = localStorage.getItem("robot3d_data");
     if (!raw) {
-      return { paintAreas: [], floorDefs: [], ts: 0 };
+      return { paintAreas: [], floorDefs: [], motionPlan: [], ts: 0 };
     }
 
     const parsed = JSON.parse(raw);
     return {
       paintAreas: parsed?.paintAreas ?? [],
       floorDefs: parsed?.floorDefs ?? [],
+      motionPlan: parsed?.motionPlan ?? [],
       ts: parsed?.ts ?? 0,
     };
   } catch (error) {
     console.error("Error leyendo robot3d_data:", error);
-    return { paintAreas: [], floorDefs: [], ts: 0 };
+    return { paintAreas: [], floorDefs: [], motionPlan: [], ts: 0 };
   }
 }
 
@@ -52,6 +54,8 @@ export default function Robot3DWindow() {
 
   const paintAreas = data.paintAreas ?? [];
   const floorDefs = data.floorDefs ?? [];
+  const motionPlan = data.motionPlan ?? [];
+  const t = messages[localStorage.getItem("app_lang") || "es"] ?? messages.es;
 
   return (
     <div
@@ -78,7 +82,9 @@ export default function Robot3DWindow() {
       <RobotScene3D
         paintAreas={paintAreas}
         floorDefs={floorDefs}
+        motionPlan={motionPlan}
         height={window.innerHeight - 80}
+        t={t}
       />
     </div>
   );
@@ -1,6 +1,15 @@
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Canvas } from "@react-three/fiber";
-import { OrbitControls, Grid, Edges, Text } from "@react-three/drei";
+import { OrbitControls, Grid, Edges, Text, Line } from "@react-three/drei";
+import { messages } from "../i18n";
+import { buildPlaybackTimeline, samplePlayback } from "../services/playback";
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+// workspace (mm) -> escena three (1 unidad = 100 mm, Y del layout en Z)
+function toScene(p) {
+  return [p.x / 100, p.z / 100, p.y / 100];
+}
 
 function getFloorColor(floor, floorDefs) {
   const floorDef = (floorDefs ?? []).find(
@@ -21,7 +30,7 @@ function Box3D({ area, floorDefs }) {
   const floorDef = (floorDefs ?? []).find((f) => Number(f.floor) === floor);
   const zBase = Number(floorDef?.zBase ?? 0);
 
-  const boxHeightMm = 300;
+  const boxHeightMm = Math.max(1, Number(area?.boxHeightMm ?? 300));
 
   const posX = Number(area?.cx ?? 0) / 100;
   const posY = zBase / 100 + boxHeightMm / 200;
@@ -31,7 +40,8 @@ function Box3D({ area, floorDefs }) {
   const height = boxHeightMm / 100;
   const depth = Math.max(0.2, Number(area?.depthMm ?? 400) / 100);
 
-  const rotY = (rotationDeg * Math.PI) / 180;
+  // el plano XY del layout queda en XZ de three: un giro +θ en XY es -θ sobre Y
+  const rotY = (-rotationDeg * Math.PI) / 180;
   const color = getFloorColor(floor, floorDefs);
 
   return (
@@ -56,10 +66,100 @@ function Box3D({ area, floorDefs }) {
   );
 }
 
+function GripperMarker({ position }) {
+  if (!position) return null;
+
+  const [x, y, z] = toScene(position);
+
+  return (
+    <group position={[x, y, z]}>
+      <mesh position={[0, 0.35, 0]}>
+        <cylinderGeometry args={[0.05, 0.05, 0.7, 12]} />
+        <meshStandardMaterial color="#111827" />
+      </mesh>
+      <mesh position={[0, 0.05, 0]}>
+        <boxGeometry args={[0.5, 0.1, 0.5]} />
+        <meshStandardMaterial color="#ef4444" />
+      </mesh>
+    </group>
+  );
+}
+
+function PlaybackControls({ t, playing, time, duration, speed, current, onToggle, onScrub, onSpeed }) {
+  const buttonStyle = {
+    padding: "4px 10px",
+    borderRadius: 6,
+    border: "none",
+    background: "#2563eb",
+    color: "#fff",
+    fontWeight: 700,
+    fontSize: 12,
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 8,
+        right: 8,
+        bottom: 8,
+        display: "flex",
+        alignItems: "center",
+        gap: 8,
+        padding: "6px 8px",
+        borderRadius: 8,
+        background: "rgba(255,255,255,0.92)",
+        border: "1px solid #d1d5db",
+        fontSize: 12,
+      }}
+    >
+      <button onClick={onToggle} style={buttonStyle}>
+        {playing ? t.pause : t.play}
+      </button>
+
+      <input
+        type="range"
+        min={0}
+        max={duration}
+        step={0.01}
+        value={time}
+        onChange={(e) => onScrub(Number(e.target.value))}
+        style={{ flex: 1 }}
+      />
+
+      <span style={{ minWidth: 84, textAlign: "right", fontFamily: "monospace" }}>
+        {time.toFixed(1)} / {duration.toFixed(1)} s
+      </span>
+
+      <select
+        value={speed}
+        onChange={(e) => onSpeed(Number(e.target.value))}
+        style={{ height: 24, fontSize: 12, borderRadius: 6 }}
+      >
+        {PLAYBACK_SPEEDS.map((v) => (
+          <option key={v} value={v}>
+            {v}x
+          </option>
+        ))}
+      </select>
+
+      {current ? (
+        <span style={{ minWidth: 90, fontWeight: 700, color: "#374151" }}>
+          {current.label} · {t.playbackSteps?.[current.step] ?? current.step}
+        </span>
+      ) : null}
+    </div>
+  );
+}
+
 export default function RobotScene3D({
   paintAreas = [],
   floorDefs = [],
+  motionPlan = [],
   height = 520,
+  t = messages.es,
 }) {
   const boxes = useMemo(() => {
     return (paintAreas ?? []).filter(
@@ -72,6 +172,86 @@ export default function RobotScene3D({
     );
   }, [paintAreas]);
 
+  const timeline = useMemo(() => buildPlaybackTimeline(motionPlan), [motionPlan]);
+  const hasPlayback = timeline.keyframes.length > 0;
+
+  // arranca al final: sin reproducir se ve el pallet completo
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [time, setTime] = useState(Infinity);
+  const timeRef = useRef(time);
+  const lastFrameRef = useRef(null);
+
+  const clampedTime = Math.min(time, timeline.duration);
+
+  useEffect(() => {
+    timeRef.current = time;
+  }, [time]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+
+    let frameId;
+    lastFrameRef.current = null;
+
+    const tick = (now) => {
+      const dt = lastFrameRef.current === null ? 0 : (now - lastFrameRef.current) / 1000;
+      lastFrameRef.current = now;
+
+      const next = Math.min(timeRef.current, timeline.duration) + dt * speed;
+      timeRef.current = next;
+
+      if (next >= timeline.duration) {
+        setTime(timeline.duration);
+        setPlaying(false);
+        return;
+      }
+
+      setTime(next);
+      frameId = requestAnimationFrame(tick);
+    };
+
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, speed, timeline.duration]);
+
+  const playback = useMemo(
+    () => samplePlayback(timeline, clampedTime),
+    [timeline, clampedTime]
+  );
+
+  const visibleBoxes = useMemo(() => {
+    if (!hasPlayback || clampedTime >= timeline.duration) return boxes;
+
+    const placedIds = new Set(
+      (motionPlan ?? []).slice(0, playback.placedCount).map((p) => String(p.id))
+    );
+    const plannedIds = new Set((motionPlan ?? []).map((p) => String(p.id)));
+
+    // las cajas que no están en el plan se muestran siempre
+    return boxes.filter(
+      (a) => placedIds.has(String(a.id)) || !plannedIds.has(String(a.id))
+    );
+  }, [boxes, motionPlan, hasPlayback, clampedTime, timeline.duration, playback.placedCount]);
+
+  const pathPoints = useMemo(
+    () => timeline.keyframes.map((f) => toScene(f)),
+    [timeline]
+  );
+
+  function togglePlayback() {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+
+    if (clampedTime >= timeline.duration) {
+      timeRef.current = 0;
+      setTime(0);
+    }
+    setPlaying(true);
+  }
+
   return (
     <div
       style={{
@@ -81,6 +261,7 @@ export default function RobotScene3D({
         borderRadius: 14,
         overflow: "hidden",
         background: "#f8fafc",
+        position: "relative",
       }}
     >
       <Canvas camera={{ position: [18, 14, 18], fov: 50 }}>
@@ -101,7 +282,7 @@ export default function RobotScene3D({
 
         <axesHelper args={[8]} />
 
-        {boxes.map((area, index) => (
+        {visibleBoxes.map((area, index) => (
           <Box3D
             key={area?.id ?? area?.label ?? index}
             area={area}
@@ -109,8 +290,33 @@ export default function RobotScene3D({
           />
         ))}
 
+        {hasPlayback && pathPoints.length > 1 && (
+          <Line points={pathPoints} color="#ef4444" lineWidth={1} dashed dashSize={0.2} gapSize={0.15} />
+        )}
+
+        {hasPlayback && clampedTime < timeline.duration && (
+          <GripperMarker position={playback.position} />
+        )}
+
         <OrbitControls makeDefault />
       </Canvas>
+
+      {hasPlayback && (
+        <PlaybackControls
+          t={t}
+          playing={playing}
+          time={clampedTime}
+          duration={timeline.duration}
+          speed={speed}
+          current={clampedTime < timeline.duration ? playback.current : null}
+          onToggle={togglePlayback}
+          onScrub={(value) => {
+            setPlaying(false);
+            setTime(value);
+          }}
+          onSpeed={setSpeed}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
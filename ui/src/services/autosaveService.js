@@ -0,0 +1,123 @@
+// Autoguardado del proyecto en IndexedDB.
+// Cada snapshot guarda el mismo JSON que "Guardar proyecto" más la fecha.
+
+const DB_NAME = "robot_layout";
+const DB_VERSION = 1;
+const STORE = "snapshots";
+
+export const AUTOSAVE_INTERVAL_MS = 30000;
+export const AUTOSAVE_KEEP = 20;
+
+export function isAutosaveAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let dbPromise = null;
+
+function openDb() {
+  if (!isAutosaveAvailable()) {
+    return Promise.reject(new Error("IndexedDB no está disponible."));
+  }
+
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("savedAt", "savedAt");
+      }
+    };
+
+    dbPromise = requestToPromise(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, mode);
+
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  const result = await fn(tx.objectStore(STORE));
+  await done;
+
+  return result;
+}
+
+function snapshotSummary(record) {
+  return {
+    id: record.id,
+    savedAt: record.savedAt,
+    boxCount: record.boxCount,
+    floorCount: record.floorCount,
+  };
+}
+
+// más recientes primero, sin el proyecto completo
+export async function listSnapshots() {
+  const records = await withStore("readonly", (store) =>
+    requestToPromise(store.getAll())
+  );
+
+  return records.sort((a, b) => b.savedAt - a.savedAt).map(snapshotSummary);
+}
+
+export async function getSnapshot(id) {
+  return withStore("readonly", (store) => requestToPromise(store.get(id)));
+}
+
+export async function getLatestSnapshot() {
+  const [latest] = await listSnapshots();
+  return latest ? getSnapshot(latest.id) : null;
+}
+
+export async function saveSnapshot(project, { keep = AUTOSAVE_KEEP } = {}) {
+  const record = {
+    savedAt: Date.now(),
+    boxCount: (project?.areas ?? []).length,
+    floorCount: (project?.floors ?? []).length,
+    project,
+  };
+
+  const id = await withStore("readwrite", (store) =>
+    requestToPromise(store.add(record))
+  );
+
+  // se conservan solo los `keep` más recientes
+  const all = await listSnapshots();
+  const stale = all.slice(keep);
+
+  if (stale.length > 0) {
+    await withStore("readwrite", async (store) => {
+      for (const s of stale) store.delete(s.id);
+    });
+  }
+
+  return { ...snapshotSummary(record), id };
+}
+
+export async function deleteSnapshot(id) {
+  await withStore("readwrite", (store) => requestToPromise(store.delete(id)));
+}
+
+export async function clearSnapshots() {
+  await withStore("readwrite", (store) => requestToPromise(store.clear()));
+}
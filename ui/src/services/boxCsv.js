@@ -0,0 +1,320 @@
+// Lista de cajas como CSV para hojas de cálculo: exportación e importación
+// con mapeo de encabezados, detección de separador y coma decimal.
+import { getAutoFloorColor } from "../utils/colors";
+import { normalizeLabel, truncateLabel5 } from "../utils/labels";
+import { getSuggestedFloorZBase } from "../utils/workspace";
+import { normalizeCellProfile, toPalletFrame } from "./cellProfile";
+import { classifyBoxZone } from "./fairinoAdapter";
+import { collectBoxesByFloor } from "./motionPlan";
+import { PROJECT_FORMAT, PROJECT_SCHEMA_VERSION } from "./projectSchema";
+
+export const BOX_CSV_COLUMNS = [
+  "label",
+  "floor",
+  "x",
+  "y",
+  "w",
+  "h",
+  "rotation",
+  "height",
+  "zone",
+  "robotX",
+  "robotY",
+];
+
+// encabezados aceptados (sin acentos, espacios ni mayúsculas) -> columna
+const HEADER_ALIASES = {
+  label: ["label", "etiqueta", "nombre", "name", "caja", "box"],
+  floor: ["floor", "piso", "nivel", "layer"],
+  x: ["x", "xmm", "centrox", "centerx"],
+  y: ["y", "ymm", "centroy", "centery"],
+  w: ["w", "wmm", "ancho", "width"],
+  h: ["h", "hmm", "largo", "fondo", "length", "depth"],
+  rotation: ["rotation", "rotationdeg", "rotacion", "rot", "giro", "rz"],
+  height: ["height", "boxheight", "boxheightmm", "alto", "altura"],
+  zone: ["zone", "zona"],
+  robotX: ["robotx", "resultadox", "palletx"],
+  robotY: ["roboty", "resultadoy", "pallety"],
+};
+
+const DELIMITERS = [",", ";", "\t"];
+
+function normalizeHeader(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\(.*?\)|[\s_\-.]/g, "");
+}
+
+function quoteCell(value, delimiter) {
+  const s = String(value ?? "");
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV de todas las cajas (source "single") en el orden de colocación de cada
+ * piso. zone y robotX/robotY (marco PL/PR) son informativos: al importar se
+ * recalculan. Con `delimiter: ";"` los números salen con coma decimal, que es
+ * lo que abre Excel en español.
+ */
+export function buildBoxCsv({
+  paintAreas,
+  floorDefs,
+  cellProfile,
+  delimiter = ",",
+  decimalComma = delimiter !== ",",
+}) {
+  const profile = normalizeCellProfile(cellProfile);
+  const referenceAreas = (paintAreas ?? []).filter((a) => a.source !== "single");
+
+  const rows = collectBoxesByFloor({ paintAreas, floorDefs, cellProfile: profile })
+    .flatMap((f) => f.boxes)
+    .map((b) => {
+      const { resultadoX, resultadoY } = toPalletFrame(b.x, b.y, profile);
+
+      return [
+        b.label,
+        b.floor,
+        b.x,
+        b.y,
+        b.w,
+        b.h,
+        b.rotationDeg,
+        b.boxHeightMm,
+        classifyBoxZone(b, referenceAreas),
+        resultadoX,
+        resultadoY,
+      ];
+    });
+
+  const formatCell = (cell) =>
+    decimalComma && typeof cell === "number" ? String(cell).replace(".", ",") : cell;
+
+  return [BOX_CSV_COLUMNS, ...rows]
+    .map((row) => row.map((cell) => quoteCell(formatCell(cell), delimiter)).join(delimiter))
+    .join("\n");
+}
+
+// separa una línea respetando comillas ("a;b" y "" como comilla escapada)
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+// el separador con más columnas en el encabezado
+function detectDelimiter(headerLine) {
+  return DELIMITERS.map((d) => ({ d, n: splitCsvLine(headerLine, d).length }))
+    .sort((a, b) => b.n - a.n)[0].d;
+}
+
+const GROUPED_DOT = /^[+-]?\d{1,3}(\.\d{3})+(,\d+)?$/; // 1.234 / 1.234,5
+const GROUPED_COMMA = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/; // 1,234 / 1,234.5
+
+/**
+ * Número de una celda. Con coma decimal el punto solo se acepta como
+ * separador de miles; "1.000" sin ninguna coma decimal en el archivo es
+ * ambiguo (¿mil o uno?) y se devuelve como error en vez de adivinar.
+ */
+function parseNumber(value, { decimalComma, commasInFile }) {
+  const s = String(value ?? "").trim().replace(/\s/g, "");
+  if (!s) return { value: NaN };
+
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(s) && !(decimalComma && GROUPED_DOT.test(s))) {
+    return { value: Number(s) };
+  }
+
+  if (decimalComma) {
+    if (GROUPED_DOT.test(s)) {
+      if (!s.includes(",") && !commasInFile) {
+        return { value: NaN, ambiguous: true };
+      }
+      return { value: Number(s.replace(/\./g, "").replace(",", ".")) };
+    }
+    if (/^[+-]?\d+,\d+$/.test(s)) return { value: Number(s.replace(",", ".")) };
+  } else if (GROUPED_COMMA.test(s)) {
+    return { value: Number(s.replace(/,/g, "")) };
+  }
+
+  return { value: NaN };
+}
+
+/**
+ * Lee el CSV de cajas. Solo `x` e `y` son obligatorias; las filas con
+ * errores (o con una etiqueta ya usada en otra fila) se descartan y se
+ * informan en `errors` con su número de fila. Las filas sin etiqueta toman
+ * el siguiente B libre. `error` indica que el archivo completo no se puede leer.
+ */
+export function parseBoxCsv(text) {
+  const lines = String(text ?? "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line, idx) => ({ line, row: idx + 1 }))
+    .filter(({ line }) => line.trim());
+
+  const result = {
+    error: "",
+    boxes: [],
+    errors: [],
+    ignoredColumns: [],
+    delimiter: ",",
+    decimalComma: false,
+  };
+
+  if (lines.length === 0) {
+    result.error = "El archivo está vacío.";
+    return result;
+  }
+
+  const delimiter = detectDelimiter(lines[0].line);
+  const headers = splitCsvLine(lines[0].line, delimiter);
+
+  const columnIndex = {};
+  headers.forEach((header, idx) => {
+    const key = normalizeHeader(header);
+    const column = Object.keys(HEADER_ALIASES).find((c) => HEADER_ALIASES[c].includes(key));
+
+    if (column && columnIndex[column] === undefined) columnIndex[column] = idx;
+    else result.ignoredColumns.push(header);
+  });
+
+  result.delimiter = delimiter;
+
+  if (columnIndex.x === undefined || columnIndex.y === undefined) {
+    result.error = "Faltan las columnas x e y en el encabezado.";
+    return result;
+  }
+
+  // filas solo con separadores (";;;;") cuentan como vacías
+  const dataRows = lines
+    .slice(1)
+    .map(({ line, row }) => ({ row, cells: splitCsvLine(line, delimiter) }))
+    .filter(({ cells }) => cells.some(Boolean));
+  const numericColumns = ["floor", "x", "y", "w", "h", "rotation", "height"];
+
+  const numericCells = dataRows.flatMap(({ cells }) =>
+    numericColumns.map((c) => cells[columnIndex[c]]).filter((v) => v !== undefined && v !== "")
+  );
+
+  // ";" y tabulador son los separadores de Excel en locales con coma decimal;
+  // con "," solo hay coma decimal si aparece entre comillas ("12,5")
+  const commasInFile = numericCells.some((v) => /^[+-]?[\d.]*\d,\d+$/.test(v) && !GROUPED_COMMA.test(v));
+  const decimalComma = delimiter !== "," || commasInFile;
+  result.decimalComma = decimalComma;
+
+  const labelOf = (cells) =>
+    columnIndex.label === undefined ? "" : truncateLabel5(cells[columnIndex.label]);
+
+  // los B automáticos no pueden chocar con etiquetas escritas más abajo
+  const taken = new Set(dataRows.map(({ cells }) => normalizeLabel(labelOf(cells))).filter(Boolean));
+  const labelRows = new Map();
+  let nextNumber = 1;
+  const nextLabel = () => {
+    while (taken.has(`B${nextNumber}`)) nextNumber += 1;
+    taken.add(`B${nextNumber}`);
+    return `B${nextNumber}`;
+  };
+
+  dataRows.forEach(({ row, cells }) => {
+    const cell = (column) => (columnIndex[column] === undefined ? "" : cells[columnIndex[column]] ?? "");
+    const label = labelOf(cells);
+    const errors = [];
+
+    const key = normalizeLabel(label);
+    if (key && labelRows.has(key)) errors.push(`etiqueta repetida (fila ${labelRows.get(key)})`);
+
+    const read = (column, { required = false, check } = {}) => {
+      const raw = cell(column);
+      if (raw === "") {
+        if (required) errors.push(`${column} vacío`);
+        return undefined;
+      }
+
+      const { value: n, ambiguous } = parseNumber(raw, { decimalComma, commasInFile });
+      if (ambiguous) errors.push(`${column} "${raw}" es ambiguo (¿separador de miles o decimal?)`);
+      else if (!Number.isFinite(n)) errors.push(`${column} "${raw}" no es un número`);
+      else if (check && !check(n)) errors.push(`${column} fuera de rango (${raw})`);
+
+      return n;
+    };
+
+    const box = {
+      label,
+      floor: read("floor", { check: (n) => Number.isInteger(n) && n >= 1 }),
+      x: read("x", { required: true }),
+      y: read("y", { required: true }),
+      w: read("w", { check: (n) => n > 0 }),
+      h: read("h", { check: (n) => n > 0 }),
+      rotationDeg: read("rotation"),
+      boxHeightMm: read("height", { check: (n) => n > 0 }),
+    };
+
+    if (errors.length > 0) {
+      result.errors.push({ row, label, message: errors.join(", ") });
+      return;
+    }
+
+    if (key) labelRows.set(key, row);
+    result.boxes.push({ ...box, label: label || nextLabel() });
+  });
+
+  return result;
+}
+
+/**
+ * Proyecto v2 con las cajas del CSV y el resto del layout actual. Los pisos
+ * que use el CSV y no estén definidos se agregan con su zBase sugerido.
+ */
+export function boxCsvToProject({ boxes, floorDefs, referenceAreas, dimensions, cellProfile }) {
+  const profile = normalizeCellProfile(cellProfile);
+  const areas = boxes.map((b) => ({ ...b, floor: b.floor ?? 1 }));
+  const singles = areas.map((b) => ({ ...b, source: "single" }));
+
+  const floors = [...(floorDefs ?? [])];
+  [...new Set(areas.map((b) => Number(b.floor)))]
+    .sort((a, b) => a - b)
+    .forEach((floor) => {
+      if (floors.some((f) => Number(f.floor) === floor)) return;
+
+      floors.push({
+        floor,
+        zBase: getSuggestedFloorZBase(floor, floors, singles, profile.defaultZBase),
+        color: getAutoFloorColor(floor),
+      });
+    });
+
+  return {
+    meta: { format: PROJECT_FORMAT, version: PROJECT_SCHEMA_VERSION },
+    cellProfile,
+    floors: floors.sort((a, b) => a.floor - b.floor),
+    areas,
+    referenceAreas: referenceAreas ?? [],
+    dimensions: dimensions ?? [],
+  };
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { parseBoxCsv } from "./boxCsv";
+
+describe("parseBoxCsv", () => {
+  it("coma decimal con ';' y miles ambiguos", () => {
+    const parsed = parseBoxCsv("label;x;y\nB1;12,5;1.000\nB2;1.000,5;0");
+
+    expect(parsed.decimalComma).toBe(true);
+    expect(parsed.boxes.map((b) => [b.label, b.x, b.y])).toEqual([
+      ["B1", 12.5, 1000],
+      ["B2", 1000.5, 0],
+    ]);
+  });
+
+  it("etiquetas repetidas se descartan con la fila original", () => {
+    const parsed = parseBoxCsv("label,x,y\nB1,0,0\nb1,100,0\nB2,200,0");
+
+    expect(parsed.boxes.map((b) => b.label)).toEqual(["B1", "B2"]);
+    expect(parsed.errors).toEqual([{ row: 3, label: "b1", message: "etiqueta repetida (fila 2)" }]);
+  });
+
+  it("filas sin etiqueta toman el siguiente B libre del archivo", () => {
+    const parsed = parseBoxCsv("label,x,y\n,0,0\n,100,0\nB1,200,0\nB3,300,0");
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.boxes.map((b) => b.label)).toEqual(["B2", "B4", "B1", "B3"]);
+  });
+
+  it("una fila con error no reserva su etiqueta", () => {
+    const parsed = parseBoxCsv("label,x,y\nB1,abc,0\nB1,100,0");
+
+    expect(parsed.errors.map((e) => e.row)).toEqual([2]);
+    expect(parsed.boxes.map((b) => [b.label, b.x])).toEqual([["B1", 100]]);
+  });
+});
@@ -0,0 +1,127 @@
+//cellProfile.js
+// Calibración de la celda del robot: offsets del marco de pallet y alturas de aproximación.
+
+export const DEFAULT_CELL_PROFILE = {
+  name: "Celda Fairino",
+  palletOffsetX: -623, // X del marco PL/PR respecto del origen del layout
+  palletOffsetY: 424, // Y del marco PL/PR (PL usa +, PR usa -)
+  refY: 200, // altura de espera sobre la caja
+  itemSafeZ: 20, // subida después de soltar
+  transitionLiftZ: 200, // subida extra en la transición
+  defaultZBase: -900, // Z base del piso 1
+  robotBaseX: 0, // base del robot en el layout
+  robotBaseY: 0,
+  reachRadiusMm: 1800, // alcance máximo en planta desde la base
+  minReachRadiusMm: 300, // zona muerta alrededor de la base
+  minZ: -1000, // límites de Z del TCP, en la misma referencia que zBase
+  maxZ: 1200,
+};
+
+export const CELL_PROFILE_NUMERIC_FIELDS = [
+  "palletOffsetX",
+  "palletOffsetY",
+  "refY",
+  "itemSafeZ",
+  "transitionLiftZ",
+  "defaultZBase",
+  "robotBaseX",
+  "robotBaseY",
+  "reachRadiusMm",
+  "minReachRadiusMm",
+  "minZ",
+  "maxZ",
+];
+
+export function normalizeCellProfile(raw) {
+  const profile = { ...DEFAULT_CELL_PROFILE };
+
+  if (raw && typeof raw === "object") {
+    if (typeof raw.name === "string" && raw.name.trim()) {
+      profile.name = raw.name.trim();
+    }
+
+    for (const key of CELL_PROFILE_NUMERIC_FIELDS) {
+      const n = Number(raw[key]);
+      if (raw[key] !== undefined && raw[key] !== "" && Number.isFinite(n)) {
+        profile[key] = n;
+      }
+    }
+  }
+
+  return profile;
+}
+
+// workspace -> marco del pallet (PL para Y negativo, PR para Y positivo)
+export function toPalletFrame(itemX, itemY, cellProfile) {
+  const profile = cellProfile ?? DEFAULT_CELL_PROFILE;
+  const resultadoX = itemX - profile.palletOffsetX;
+
+  if (itemY < 0) {
+    return {
+      ref: "PL",
+      resultadoX,
+      resultadoY: itemY + profile.palletOffsetY,
+    };
+  }
+
+  return {
+    ref: "PR",
+    resultadoX,
+    resultadoY: itemY - profile.palletOffsetY,
+  };
+}
+
+// inversa de toPalletFrame: punto PL/PR -> workspace
+export function fromPalletFrame(ref, resultadoX, resultadoY, cellProfile) {
+  const profile = cellProfile ?? DEFAULT_CELL_PROFILE;
+
+  return {
+    x: resultadoX + profile.palletOffsetX,
+    y: ref === "PL" ? resultadoY - profile.palletOffsetY : resultadoY + profile.palletOffsetY,
+  };
+}
+
+export function getPlaceHeights(zBase, itemZ, cellProfile) {
+  const profile = cellProfile ?? DEFAULT_CELL_PROFILE;
+
+  return {
+    ptpTransicionZ: zBase + itemZ + profile.transitionLiftZ + profile.refY,
+    ptpWaitZ: zBase + itemZ + profile.refY,
+    ptpLeftZ: zBase + itemZ,
+    ptpLeftSafeZ: zBase + itemZ + profile.itemSafeZ,
+  };
+}
+
+export const REACH_ISSUES = ["beyond-reach", "inside-min-radius", "below-min-z", "above-max-z"];
+
+// Revisa un punto del plan contra la envolvente del robot.
+// El radio se mide en planta desde la base; las Z son las de los cuatro waypoints.
+export function checkReach(point, cellProfile) {
+  const profile = cellProfile ?? DEFAULT_CELL_PROFILE;
+  const radiusMm = Math.round(
+    Math.hypot(
+      Number(point.x) - profile.robotBaseX,
+      Number(point.y) - profile.robotBaseY
+    )
+  );
+
+  const zs = [
+    point.ptpTransicionZ,
+    point.ptpWaitZ,
+    point.ptpLeftZ,
+    point.ptpLeftSafeZ,
+  ].map(Number);
+
+  const issues = [];
+
+  if (radiusMm > profile.reachRadiusMm) issues.push("beyond-reach");
+  if (radiusMm < profile.minReachRadiusMm) issues.push("inside-min-radius");
+  if (Math.min(...zs) < profile.minZ) issues.push("below-min-z");
+  if (Math.max(...zs) > profile.maxZ) issues.push("above-max-z");
+
+  return {
+    radiusMm,
+    issues,
+    isReachable: issues.length === 0,
+  };
+}
@@ -1,58 +1,10 @@
 //fairinoAdapter.js
-import { findInteriorPoint } from "../utils/geometry";
-import { sortBoxesForLua } from "../utils/sorting";
 import { generateLuaAllFloors } from "./luaService";
+import { normalizeCellProfile } from "./cellProfile";
+import { normalizeSequence } from "../utils/sequencing";
+import { buildFairinoMotionPlan, collectBoxesByFloor } from "./motionPlan";
 
-export function buildFairinoMotionPlan({ boxes }) {
-  return (boxes ?? []).map((b) => {
-    const itemX = Math.round(b.x);
-    const itemY = Math.round(b.y);
-    const rz = Number(b.rotationDeg ?? 0);
-    const zBase = Number(b.zBase ?? -900);
-
-    let resultadoX = 0;
-    let resultadoY = 0;
-    let ptpRef = "";
-
-    const itemZ = 300;
-    const itemSafeZ = 20;
-    const refY = 200;
-
-    const ptpTransicionZ = zBase + itemZ + 200 + refY;
-    const ptpWaitZ = zBase + itemZ + refY;
-    const ptpLeftZ = zBase + itemZ;
-    const ptpLeftSafeZ = zBase + itemZ + itemSafeZ;
-
-    if (itemY < 0) {
-      resultadoY = itemY + 424;
-      resultadoX = itemX - (-623);
-      ptpRef = "PL";
-    } else {
-      resultadoX = itemX - (-623);
-      resultadoY = itemY - 424;
-      ptpRef = "PR";
-    }
-
-    return {
-      label: b.label,
-      floor: b.floor,
-      ref: ptpRef,
-      x: itemX,
-      y: itemY,
-      w: b.w,
-      h: b.h,
-      rotationDeg: rz,
-      zBase,
-      resultadoX,
-      resultadoY,
-      ptpTransicionZ,
-      ptpWaitZ,
-      ptpLeftZ,
-      ptpLeftSafeZ,
-    };
-  });
-}
-
+export { buildFairinoMotionPlan };
 
 function pointInPolygon(pt, poly) {
   const x = pt.x;
@@ -109,7 +61,9 @@ export function validateFairinoBoxes({ boxes, referenceAreas }) {
   });
 }
 
-export function buildFairinoProject({ paintAreas, floorDefs }) {
+export function buildFairinoProject({ paintAreas, floorDefs, cellProfile }) {
+  const profile = normalizeCellProfile(cellProfile);
+
   const referenceAreas = (paintAreas ?? [])
     .filter((a) => a.source !== "single")
     .map((a) => ({
@@ -127,42 +81,15 @@ export function buildFairinoProject({ paintAreas, floorDefs }) {
       floor: Number(f.floor),
       zBase: Number(f.zBase),
       color: f.color,
+      sequence: normalizeSequence(f.sequence),
     }))
     .sort((a, b) => a.floor - b.floor);
 
-  const boxes = sortBoxesForLua(
-    (paintAreas ?? [])
-      .filter((a) => a.source === "single")
-      .map((a) => {
-        const poly = a.points ?? [];
-        const center = findInteriorPoint(poly);
-
-        const xs = poly.map((p) => Number(p.x));
-        const ys = poly.map((p) => Number(p.y));
-
-        const minX = Math.min(...xs);
-        const maxX = Math.max(...xs);
-        const minY = Math.min(...ys);
-        const maxY = Math.max(...ys);
-
-        const floorNumber = Number(a.floor ?? 1);
-        const floorDef = (floorDefs ?? []).find(
-          (f) => Number(f.floor) === floorNumber
-        );
-
-        return {
-          id: a.id,
-          label: a.label,
-          floor: floorNumber,
-          x: Math.round(center.x),
-          y: Math.round(center.y),
-          w: Math.round(maxX - minX),
-          h: Math.round(maxY - minY),
-          rotationDeg: Number(a.rotationDeg ?? 0),
-          zBase: Number(floorDef?.zBase ?? -900),
-        };
-      })
-  );
+  const boxes = collectBoxesByFloor({
+    paintAreas,
+    floorDefs,
+    cellProfile: profile,
+  }).flatMap((f) => f.boxes);
 
   const validatedBoxes = validateFairinoBoxes({
     boxes,
@@ -171,32 +98,51 @@ export function buildFairinoProject({ paintAreas, floorDefs }) {
 
     const motionPlan = buildFairinoMotionPlan({
     boxes: validatedBoxes,
+    cellProfile: profile,
     });
 
+  // alcance del robot por caja, para marcarlo en el canvas y en el JSON
+  const boxesWithReach = validatedBoxes.map((box) => {
+    const point = motionPlan.find((p) => p.id === box.id);
+
+    return {
+      ...box,
+      reachRadiusMm: point?.reachRadiusMm ?? null,
+      reachIssues: point?.reachIssues ?? [],
+      isReachable: point?.isReachable !== false,
+    };
+  });
+
   const luaText = generateLuaAllFloors({
     paintAreas,
     floorDefs,
+    cellProfile: profile,
   });
 
   return {
     meta: {
       format: "fairino-project",
-      version: 2,
+      version: 3, // v3: w/h de cada caja son la medida base, no el envolvente
       exportedAt: new Date().toISOString(),
     },
+    cellProfile: profile,
     referenceAreas,
     floors,
-    boxes: validatedBoxes,
+    boxes: boxesWithReach,
+    unreachableBoxes: boxesWithReach
+      .filter((b) => !b.isReachable)
+      .map((b) => b.label),
     motionPlan,
     luaText,
   };
 }
 
 
-export function buildFairinoLuaFile({ paintAreas, floorDefs }) {
+export function buildFairinoLuaFile({ paintAreas, floorDefs, cellProfile }) {
   const luaText = generateLuaAllFloors({
     paintAreas,
     floorDefs,
+    cellProfile: normalizeCellProfile(cellProfile),
   });
 
   return {
@@ -0,0 +1,174 @@
+// Lectura de programas Fairino Lua (generados por generateLuaFloor o a mano):
+// secciones "-- ####### PISO n" y puntos PTP(PL|PR,...,x,y,z,rx,ry,rz) -> cajas del layout.
+import { normalizeRotationDeg } from "../utils/geometry";
+import { getAutoFloorColor } from "../utils/colors";
+import { DEFAULT_BOX_HEIGHT_MM } from "../utils/workspace";
+import { DEFAULT_CELL_PROFILE, fromPalletFrame } from "./cellProfile";
+import { PROJECT_FORMAT, PROJECT_SCHEMA_VERSION } from "./projectSchema";
+
+const FLOOR_RE = /^--\s*#+\s*PISO\s+(\d+)/i;
+const BOX_RE = /^--\s*BOX\s+(\d+)/i;
+const PLACE_RE = /^PTP\(\s*(PL|PR)\s*,(.*)\)\s*;?$/i;
+// resto de llamadas (PTP a puntos con nombre, SetAuxDO, WaitMs...) no colocan cajas
+const CALL_RE = /^[A-Za-z_][\w.]*\s*\(.*\)\s*;?$/;
+
+/**
+ * Convierte el texto Lua en cajas y pisos. Los cuatro PTP de una caja
+ * (transición, espera, dejar, seguridad) comparten x/y/rz; la Z más baja es
+ * la de dejar = zBase + alto de caja. Cada piso toma como zBase la Z de dejar
+ * más baja menos `boxHeightMm`, y el alto de cada caja sale de esa base.
+ * Esa suposición solo es exacta si la caja más baja mide `boxHeightMm`; por
+ * eso cada piso queda en `assumptions` para mostrarlo antes de importar.
+ * Devuelve `unparsed` con las líneas que no se pudieron interpretar y las
+ * cajas que se renombraron por repetir su comentario BOX.
+ */
+export function parseFairinoLua(
+  text,
+  {
+    cellProfile = DEFAULT_CELL_PROFILE,
+    boxW = 300,
+    boxH = 400,
+    boxHeightMm = DEFAULT_BOX_HEIGHT_MM,
+  } = {}
+) {
+  const placements = [];
+  const unparsed = [];
+
+  let floor = 1;
+  let label = null;
+  let labelLine = null;
+  let current = null;
+
+  String(text ?? "")
+    .split(/\r?\n/)
+    .forEach((raw, idx) => {
+      const line = raw.trim();
+      const lineNumber = idx + 1;
+
+      if (!line) return;
+
+      const floorMatch = line.match(FLOOR_RE);
+      if (floorMatch) {
+        floor = Number(floorMatch[1]);
+        label = null;
+        current = null;
+        return;
+      }
+
+      const boxMatch = line.match(BOX_RE);
+      if (boxMatch) {
+        // los comentarios X e Y de la misma caja repiten el número
+        if (label !== `B${boxMatch[1]}`) current = null;
+        label = `B${boxMatch[1]}`;
+        labelLine = { line: lineNumber, text: line };
+        return;
+      }
+
+      if (line.startsWith("--")) return;
+
+      const placeMatch = line.match(PLACE_RE);
+      if (placeMatch) {
+        const args = placeMatch[2].split(",").map((s) => s.trim());
+
+        if (args.length < 6) {
+          unparsed.push({ line: lineNumber, text: line, reason: "Faltan coordenadas x,y,z,rx,ry,rz." });
+          return;
+        }
+
+        const values = args.slice(-6).map((s) => (s === "" ? NaN : Number(s)));
+        if (values.some((v) => !Number.isFinite(v))) {
+          unparsed.push({ line: lineNumber, text: line, reason: "Coordenadas no numéricas." });
+          return;
+        }
+
+        const [resultadoX, resultadoY, z, , , rz] = values;
+        const ref = placeMatch[1].toUpperCase();
+        const key = `${floor}|${ref}|${resultadoX}|${resultadoY}|${rz}`;
+
+        if (current?.key === key) {
+          current.leftZ = Math.min(current.leftZ, z);
+          return;
+        }
+
+        current = { key, floor, label, labelLine, ref, resultadoX, resultadoY, rz, leftZ: z };
+        placements.push(current);
+        return;
+      }
+
+      if (CALL_RE.test(line)) return;
+
+      unparsed.push({ line: lineNumber, text: line, reason: "Instrucción no reconocida." });
+    });
+
+  // zBase de cada piso desde la caja más baja
+  const floorNumbers = [...new Set(placements.map((p) => p.floor))].sort((a, b) => a - b);
+  const floors = floorNumbers.map((n) => {
+    const lowest = Math.min(...placements.filter((p) => p.floor === n).map((p) => p.leftZ));
+    return { floor: n, zBase: lowest - boxHeightMm, color: getAutoFloorColor(n) };
+  });
+
+  const zBaseOf = (n) => floors.find((f) => f.floor === n).zBase;
+
+  // el Lua solo trae zBase + alto de caja; la separación es una suposición
+  const assumptions = floors.map((f) => {
+    const heights = new Set(
+      placements.filter((p) => p.floor === f.floor).map((p) => p.leftZ - f.zBase)
+    );
+
+    return {
+      floor: f.floor,
+      zBase: f.zBase,
+      boxHeightMm,
+      mixedHeights: heights.size > 1,
+    };
+  });
+
+  // cajas sin comentario BOX o con un BOX ya usado (la numeración suele
+  // reiniciarse en cada PISO): siguiente B libre
+  const used = new Set(placements.map((p) => p.label).filter(Boolean));
+  const assigned = new Set();
+  let next = 1;
+  const nextLabel = () => {
+    while (used.has(`B${next}`)) next += 1;
+    used.add(`B${next}`);
+    return `B${next}`;
+  };
+
+  const areas = placements.map((p) => {
+    const { x, y } = fromPalletFrame(p.ref, p.resultadoX, p.resultadoY, cellProfile);
+
+    let label = p.label;
+    if (label && assigned.has(label)) {
+      label = nextLabel();
+      unparsed.push({
+        ...p.labelLine,
+        reason: `Etiqueta ${p.label} ya usada (piso ${p.floor}): se importa como ${label}.`,
+      });
+    }
+    label = label ?? nextLabel();
+    assigned.add(label);
+
+    return {
+      label,
+      x,
+      y,
+      floor: p.floor,
+      rotationDeg: normalizeRotationDeg(p.rz),
+      w: boxW,
+      h: boxH,
+      boxHeightMm: p.leftZ - zBaseOf(p.floor),
+    };
+  });
+
+  unparsed.sort((a, b) => a.line - b.line);
+
+  return {
+    project: {
+      meta: { format: PROJECT_FORMAT, version: PROJECT_SCHEMA_VERSION },
+      floors,
+      areas,
+    },
+    unparsed,
+    assumptions,
+  };
+}
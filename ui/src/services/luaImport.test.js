@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { parseFairinoLua } from "./luaImport";
+
+const box = (n, x) => [`-- BOX ${n}`, `PTP(PL,100,0,0,${x},0,-500,180,0,90);`];
+
+describe("parseFairinoLua", () => {
+  it("BOX que reinicia en cada PISO se renombra y se informa", () => {
+    const text = [
+      "-- ####### PISO 1",
+      ...box(1, 0),
+      ...box(2, 400),
+      "-- ####### PISO 2",
+      ...box(1, 0),
+      ...box(2, 400),
+    ].join("\n");
+
+    const { project, unparsed } = parseFairinoLua(text);
+
+    expect(project.areas.map((a) => [a.floor, a.label])).toEqual([
+      [1, "B1"],
+      [1, "B2"],
+      [2, "B3"],
+      [2, "B4"],
+    ]);
+    expect(unparsed.map((u) => [u.line, u.text])).toEqual([
+      [7, "-- BOX 1"],
+      [9, "-- BOX 2"],
+    ]);
+  });
+});
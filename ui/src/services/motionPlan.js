@@ -0,0 +1,149 @@
+//motionPlan.js
+// Plan de movimiento neutro: cajas del layout -> puntos en el marco PL/PR.
+import {
+  findInteriorPoint,
+  getAreaBaseSize,
+  normalizeRotationDeg,
+} from "../utils/geometry";
+import { sequenceBoxes } from "../utils/sequencing";
+import { getBoxHeightMm, getSuggestedFloorZBase } from "../utils/workspace";
+import {
+  DEFAULT_CELL_PROFILE,
+  toPalletFrame,
+  getPlaceHeights,
+  checkReach,
+} from "./cellProfile";
+
+export function buildFairinoMotionPlan({ boxes, cellProfile = DEFAULT_CELL_PROFILE }) {
+  return (boxes ?? []).map((b) => {
+    const itemX = Math.round(b.x);
+    const itemY = Math.round(b.y);
+    const rz = normalizeRotationDeg(b.rotationDeg ?? 0);
+    const zBase = Number(b.zBase ?? cellProfile.defaultZBase);
+
+    const itemZ = getBoxHeightMm(b);
+
+    const { ptpTransicionZ, ptpWaitZ, ptpLeftZ, ptpLeftSafeZ } = getPlaceHeights(
+      zBase,
+      itemZ,
+      cellProfile
+    );
+
+    const {
+      ref: ptpRef,
+      resultadoX,
+      resultadoY,
+    } = toPalletFrame(itemX, itemY, cellProfile);
+
+    const point = {
+      id: b.id,
+      label: b.label,
+      floor: b.floor,
+      ref: ptpRef,
+      x: itemX,
+      y: itemY,
+      w: b.w,
+      h: b.h,
+      rotationDeg: rz,
+      boxHeightMm: itemZ,
+      zBase,
+      resultadoX,
+      resultadoY,
+      ptpTransicionZ,
+      ptpWaitZ,
+      ptpLeftZ,
+      ptpLeftSafeZ,
+    };
+
+    const reach = checkReach(point, cellProfile);
+
+    return {
+      ...point,
+      reachRadiusMm: reach.radiusMm,
+      reachIssues: reach.issues,
+      isReachable: reach.isReachable,
+    };
+  });
+}
+
+// cajas de cada piso en uso, en el orden de colocación guardado en floorDefs[].sequence
+export function collectBoxesByFloor({
+  paintAreas,
+  floorDefs,
+  cellProfile = DEFAULT_CELL_PROFILE,
+}) {
+  const onlyBoxes = (paintAreas ?? []).filter((a) => a.source === "single");
+
+  const floorsInUse = Array.from(
+    new Set(onlyBoxes.map((a) => Number(a.floor ?? 1)))
+  ).sort((a, b) => a - b);
+
+  return floorsInUse.map((floorNumber) => {
+    const floorDef = (floorDefs ?? []).find(
+      (f) => Number(f.floor) === Number(floorNumber)
+    );
+
+    const zBaseFromFloor =
+      Number(floorDef?.zBase) ||
+      getSuggestedFloorZBase(
+        floorNumber,
+        floorDefs,
+        onlyBoxes,
+        cellProfile.defaultZBase
+      );
+
+    const boxes = sequenceBoxes(
+      onlyBoxes
+        .filter((a) => Number(a.floor ?? 1) === Number(floorNumber))
+        .map((a) => {
+          const center = findInteriorPoint(a.points ?? []);
+          const size = getAreaBaseSize(a);
+
+          return {
+            id: a.id,
+            label: a.label,
+            x: Math.round(center.x),
+            y: Math.round(center.y),
+            w: Math.round(size.w),
+            h: Math.round(size.h),
+            floor: floorNumber,
+            rotationDeg: normalizeRotationDeg(a.rotationDeg ?? 0),
+            boxHeightMm: getBoxHeightMm(a),
+            zBase: zBaseFromFloor,
+          };
+        }),
+      floorDef?.sequence,
+      { robotBase: { x: cellProfile.robotBaseX, y: cellProfile.robotBaseY } }
+    );
+
+    return { floorNumber, boxes };
+  });
+}
+
+export function buildMotionPlanAllFloors({
+  paintAreas,
+  floorDefs,
+  cellProfile = DEFAULT_CELL_PROFILE,
+}) {
+  return collectBoxesByFloor({ paintAreas, floorDefs, cellProfile }).flatMap(
+    ({ boxes }) => buildFairinoMotionPlan({ boxes, cellProfile })
+  );
+}
+
+export function groupPlanByFloor(motionPlan) {
+  const groups = [];
+
+  for (const point of motionPlan ?? []) {
+    const floor = Number(point.floor ?? 1);
+    let group = groups.find((g) => g.floorNumber === floor);
+
+    if (!group) {
+      group = { floorNumber: floor, points: [] };
+      groups.push(group);
+    }
+
+    group.points.push(point);
+  }
+
+  return groups;
+}
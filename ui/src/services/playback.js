@@ -0,0 +1,87 @@
+//playback.js
+// Línea de tiempo del plan de movimiento para el visor 3D.
+// Las cotas quedan en el workspace (x, y del layout y z absoluta) para dibujar sobre la escena.
+
+export const PLAYBACK_STEPS = ["transition", "wait", "place", "safe"];
+
+const DEFAULT_SPEED_MM_S = 600;
+const RELEASE_HOLD_S = 0.3; // pausa al soltar la caja
+const MIN_SEGMENT_S = 0.15;
+
+function waypointsOf(point) {
+  return [
+    { step: "transition", z: point.ptpTransicionZ },
+    { step: "wait", z: point.ptpWaitZ },
+    { step: "place", z: point.ptpLeftZ },
+    { step: "safe", z: point.ptpLeftSafeZ },
+  ];
+}
+
+export function buildPlaybackTimeline(motionPlan, { speedMmS = DEFAULT_SPEED_MM_S } = {}) {
+  const keyframes = [];
+  let t = 0;
+  let prev = null;
+
+  (motionPlan ?? []).forEach((point, boxIndex) => {
+    waypointsOf(point).forEach(({ step, z }) => {
+      const frame = {
+        x: Number(point.x),
+        y: Number(point.y),
+        z: Number(z),
+        step,
+        boxIndex,
+        boxId: point.id ?? null,
+        label: point.label,
+        floor: point.floor,
+      };
+
+      if (prev) {
+        const dist = Math.hypot(frame.x - prev.x, frame.y - prev.y, frame.z - prev.z);
+        t += Math.max(MIN_SEGMENT_S, dist / speedMmS);
+      }
+
+      keyframes.push({ ...frame, t });
+
+      if (step === "place") {
+        t += RELEASE_HOLD_S;
+        keyframes.push({ ...frame, t, step: "release" });
+      }
+
+      prev = frame;
+    });
+  });
+
+  return { keyframes, duration: t };
+}
+
+// estado del programa en el instante t (s)
+export function samplePlayback(timeline, time) {
+  const keyframes = timeline?.keyframes ?? [];
+
+  if (keyframes.length === 0) {
+    return { position: null, placedCount: 0, current: null };
+  }
+
+  const tt = Math.max(0, Math.min(Number(time) || 0, timeline.duration));
+
+  let idx = 0;
+  while (idx < keyframes.length - 1 && keyframes[idx + 1].t <= tt) idx++;
+
+  const a = keyframes[idx];
+  const b = keyframes[Math.min(idx + 1, keyframes.length - 1)];
+  const span = b.t - a.t;
+  const k = span > 0 ? Math.min(1, (tt - a.t) / span) : 0;
+
+  // la caja se da por colocada cuando el gripper la suelta
+  const placedCount = keyframes.filter((f) => f.step === "release" && f.t <= tt).length;
+
+  return {
+    position: {
+      x: a.x + (b.x - a.x) * k,
+      y: a.y + (b.y - a.y) * k,
+      z: a.z + (b.z - a.z) * k,
+    },
+    placedCount,
+    current: tt >= timeline.duration ? b : a,
+  };
+}
@@ -0,0 +1,271 @@
+//postProcessors.js
+// Post-procesadores: plan de movimiento neutro -> programa para cada marca de robot.
+import { parseBoxNumber } from "../utils/labels";
+import { DEFAULT_CELL_PROFILE } from "./cellProfile";
+import { groupPlanByFloor } from "./motionPlan";
+import { renderLuaProgram } from "./luaService";
+
+const POST_PROCESSORS = {};
+
+export function registerPostProcessor(processor) {
+  if (!processor?.id || typeof processor.render !== "function") {
+    throw new Error("Post-procesador inválido: falta id o render.");
+  }
+
+  POST_PROCESSORS[processor.id] = processor;
+  return processor;
+}
+
+export function getPostProcessor(id) {
+  return POST_PROCESSORS[id] ?? null;
+}
+
+export function listPostProcessors() {
+  return Object.values(POST_PROCESSORS).map(({ id, label, extension }) => ({
+    id,
+    label,
+    extension,
+  }));
+}
+
+export function renderRobotProgram({
+  target = "fairino-lua",
+  motionPlan,
+  cellProfile = DEFAULT_CELL_PROFILE,
+  baseName = "programa_paletizado",
+}) {
+  const processor = getPostProcessor(target);
+
+  if (!processor) {
+    throw new Error(`No existe un post-procesador para "${target}".`);
+  }
+
+  return {
+    target: processor.id,
+    extension: processor.extension,
+    filename: `${baseName}${processor.extension}`,
+    content: processor.render({ motionPlan: motionPlan ?? [], cellProfile }),
+  };
+}
+
+// Los cuatro puntos de dejada de cada caja, en el mismo orden que el Lua original
+function placeWaypoints(p) {
+  return [
+    { step: "transition", z: p.ptpTransicionZ },
+    { step: "wait", z: p.ptpWaitZ },
+    { step: "place", z: p.ptpLeftZ },
+    { step: "safe", z: p.ptpLeftSafeZ },
+  ];
+}
+
+function fmt(n, decimals = 3) {
+  return Number(Number(n).toFixed(decimals)).toString();
+}
+
+function boxTitle(p) {
+  const title = `BOX ${parseBoxNumber(p.label)} (${p.label}) piso ${p.floor} ${p.ref}`;
+
+  if (p.isReachable === false) {
+    return `${title} - AVISO fuera de alcance (${p.reachIssues.join(", ")}; r=${p.reachRadiusMm} mm)`;
+  }
+
+  return title;
+}
+
+// ---------- Fairino Lua ----------
+registerPostProcessor({
+  id: "fairino-lua",
+  label: "Fairino Lua",
+  extension: ".lua",
+  render: ({ motionPlan, cellProfile }) => renderLuaProgram({ motionPlan, cellProfile }),
+});
+
+// ---------- Universal Robots URScript ----------
+// PL / PR se declaran como poses del pallet respecto de la base; las cotas van en metros.
+registerPostProcessor({
+  id: "urscript",
+  label: "Universal Robots URScript",
+  extension: ".script",
+  render: ({ motionPlan }) => {
+    const lines = [];
+
+    lines.push("def paletizado():");
+    lines.push("  # Ajustar PL / PR y los puntos de pick a la celda real");
+    lines.push("  global PL = p[0, 0, 0, 0, 0, 0]");
+    lines.push("  global PR = p[0, 0, 0, 0, 0, 0]");
+    lines.push("  global PickWait = get_actual_tcp_pose()");
+    lines.push("  global PickSafe = get_actual_tcp_pose()");
+    lines.push("  global PickPoint = get_actual_tcp_pose()");
+    lines.push("");
+
+    groupPlanByFloor(motionPlan).forEach(({ floorNumber, points }) => {
+      lines.push(`  # ####### PISO ${floorNumber} #######`);
+
+      points.forEach((p) => {
+        const x = fmt(p.resultadoX / 1000, 4);
+        const y = fmt(p.resultadoY / 1000, 4);
+        const rz = fmt((p.rotationDeg * Math.PI) / 180, 4);
+
+        lines.push(`  # ${boxTitle(p)}`);
+        lines.push("  set_tool_digital_out(0, False)");
+        lines.push("  movej(PickWait, a=1.2, v=0.5)");
+        lines.push("  movej(PickSafe, a=1.2, v=0.5)");
+        lines.push("  movel(PickPoint, a=0.8, v=0.25)");
+        lines.push("  set_tool_digital_out(0, True)");
+        lines.push("  movel(PickSafe, a=0.8, v=0.25)");
+
+        placeWaypoints(p).forEach((wp) => {
+          const pose = `pose_trans(${p.ref}, p[${x}, ${y}, ${fmt(wp.z / 1000, 4)}, 0, 0, ${rz}])`;
+          const move = wp.step === "transition" ? "movej" : "movel";
+          lines.push(`  ${move}(${pose}, a=0.8, v=0.25)`);
+          if (wp.step === "place") lines.push("  set_tool_digital_out(0, False)");
+        });
+
+        lines.push("");
+      });
+    });
+
+    lines.push("end");
+    lines.push("");
+    lines.push("paletizado()");
+
+    return lines.join("\n");
+  },
+});
+
+// ---------- ABB RAPID ----------
+// Giro sólo en Z: cuaternión [cos(rz/2), 0, 0, sin(rz/2)]
+function rapidQuaternion(rotationDeg) {
+  const half = (rotationDeg * Math.PI) / 360;
+  return `[${fmt(Math.cos(half), 6)},0,0,${fmt(Math.sin(half), 6)}]`;
+}
+
+registerPostProcessor({
+  id: "abb-rapid",
+  label: "ABB RAPID",
+  extension: ".mod",
+  render: ({ motionPlan }) => {
+    const lines = [];
+
+    lines.push("MODULE Paletizado");
+    lines.push("  ! Ajustar PL / PR y los puntos de pick a la celda real");
+    lines.push("  PERS wobjdata PL := [FALSE,TRUE,\"\",[[0,0,0],[1,0,0,0]],[[0,0,0],[1,0,0,0]]];");
+    lines.push("  PERS wobjdata PR := [FALSE,TRUE,\"\",[[0,0,0],[1,0,0,0]],[[0,0,0],[1,0,0,0]]];");
+    lines.push("  PERS robtarget PickWait := [[0,0,0],[1,0,0,0],[0,0,0,0],[9E9,9E9,9E9,9E9,9E9,9E9]];");
+    lines.push("  PERS robtarget PickSafe := [[0,0,0],[1,0,0,0],[0,0,0,0],[9E9,9E9,9E9,9E9,9E9,9E9]];");
+    lines.push("  PERS robtarget PickPoint := [[0,0,0],[1,0,0,0],[0,0,0,0],[9E9,9E9,9E9,9E9,9E9,9E9]];");
+    lines.push("");
+    lines.push("  PROC main()");
+
+    groupPlanByFloor(motionPlan).forEach(({ floorNumber, points }) => {
+      lines.push(`    ! ####### PISO ${floorNumber} #######`);
+
+      points.forEach((p) => {
+        const q = rapidQuaternion(p.rotationDeg);
+
+        lines.push(`    ! ${boxTitle(p)}`);
+        lines.push("    SetDO doGripper, 0;");
+        lines.push("    MoveJ PickWait, v1000, z50, tool0;");
+        lines.push("    MoveJ PickSafe, v1000, z10, tool0;");
+        lines.push("    MoveL PickPoint, v200, fine, tool0;");
+        lines.push("    SetDO doGripper, 1;");
+        lines.push("    MoveL PickSafe, v200, z10, tool0;");
+
+        placeWaypoints(p).forEach((wp) => {
+          const target = `[[${fmt(p.resultadoX)},${fmt(p.resultadoY)},${fmt(wp.z)}],${q},[0,0,0,0],[9E9,9E9,9E9,9E9,9E9,9E9]]`;
+          const move = wp.step === "transition" ? "MoveJ" : "MoveL";
+          const zone = wp.step === "place" ? "fine" : "z10";
+          lines.push(`    ${move} ${target}, v500, ${zone}, tool0\\WObj:=${p.ref};`);
+          if (wp.step === "place") lines.push("    SetDO doGripper, 0;");
+        });
+
+        lines.push("");
+      });
+    });
+
+    lines.push("  ENDPROC");
+    lines.push("ENDMODULE");
+
+    return lines.join("\n");
+  },
+});
+
+// ---------- KUKA KRL ----------
+registerPostProcessor({
+  id: "kuka-krl",
+  label: "KUKA KRL",
+  extension: ".src",
+  render: ({ motionPlan }) => {
+    const lines = [];
+
+    lines.push("DEF paletizado()");
+    lines.push("  ; Ajustar PL / PR y los puntos de pick a la celda real");
+    lines.push("  DECL FRAME PL, PR");
+    lines.push("  DECL E6POS PickWait, PickSafe, PickPoint");
+    lines.push("  PL = $NULLFRAME");
+    lines.push("  PR = $NULLFRAME");
+    lines.push("  BAS(#INITMOV, 0)");
+    lines.push("");
+
+    groupPlanByFloor(motionPlan).forEach(({ floorNumber, points }) => {
+      lines.push(`  ; ####### PISO ${floorNumber} #######`);
+
+      points.forEach((p) => {
+        lines.push(`  ; ${boxTitle(p)}`);
+        lines.push("  $OUT[1] = FALSE");
+        lines.push("  $BASE = $NULLFRAME");
+        lines.push("  PTP PickWait");
+        lines.push("  PTP PickSafe");
+        lines.push("  LIN PickPoint");
+        lines.push("  $OUT[1] = TRUE");
+        lines.push("  LIN PickSafe");
+        lines.push(`  $BASE = ${p.ref}`);
+
+        placeWaypoints(p).forEach((wp) => {
+          const frame = `{X ${fmt(p.resultadoX)}, Y ${fmt(p.resultadoY)}, Z ${fmt(wp.z)}, A ${fmt(p.rotationDeg)}, B 0, C 0}`;
+          const move = wp.step === "transition" ? "PTP" : "LIN";
+          lines.push(`  ${move} ${frame}`);
+          if (wp.step === "place") lines.push("  $OUT[1] = FALSE");
+        });
+
+        lines.push("");
+      });
+    });
+
+    lines.push("END");
+
+    return lines.join("\n");
+  },
+});
+
+// ---------- CSV de waypoints ----------
+registerPostProcessor({
+  id: "csv",
+  label: "CSV (waypoints)",
+  extension: ".csv",
+  render: ({ motionPlan }) => {
+    const lines = ["floor,label,step,ref,frame_x,frame_y,z,rz,workspace_x,workspace_y,reachable"];
+
+    (motionPlan ?? []).forEach((p) => {
+      placeWaypoints(p).forEach((wp) => {
+        lines.push(
+          [
+            p.floor,
+            p.label,
+            wp.step,
+            p.ref,
+            fmt(p.resultadoX),
+            fmt(p.resultadoY),
+            fmt(wp.z),
+            fmt(p.rotationDeg),
+            fmt(p.x),
+            fmt(p.y),
+            p.isReachable === false ? "no" : "yes",
+          ].join(",")
+        );
+      });
+    });
+
+    return lines.join("\n");
+  },
+});
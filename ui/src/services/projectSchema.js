@@ -0,0 +1,390 @@
+// Esquema versionado del JSON de proyecto: detección de versión, migraciones
+// y validación campo por campo antes de importar.
+import { rectAreaFromCenter, rotatePolygon, normalizeRotationDeg } from "../utils/geometry";
+import { CELL_PROFILE_NUMERIC_FIELDS } from "./cellProfile";
+import { classifyBoxZone } from "./fairinoAdapter";
+
+export const PROJECT_FORMAT = "robot-project";
+export const PROJECT_SCHEMA_VERSION = 2;
+
+// export de buildFairinoProject (fairino_project.json)
+export const FAIRINO_PROJECT_FORMAT = "fairino-project";
+export const FAIRINO_PROJECT_VERSION = 3;
+
+// v0: legado { grupo2: { pisos, cajas } }
+// v1: { floors, areas, referenceAreas?, cellProfile?, dimensions? } sin meta
+// v2: v1 + meta { format, version }
+export function detectProjectVersion(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return null;
+
+  if (data.meta?.format === PROJECT_FORMAT || data.meta?.format === FAIRINO_PROJECT_FORMAT) {
+    const v = Number(data.meta.version);
+    return Number.isInteger(v) ? v : null;
+  }
+
+  if (data.grupo2 && typeof data.grupo2 === "object") return 0;
+  if (Array.isArray(data.floors) || Array.isArray(data.areas)) return 1;
+
+  return null;
+}
+
+// Hasta v1 (y en fairino-project v2) w/h eran el rectángulo envolvente del
+// canvas; ahora son la medida base sin girar. Las cajas a ±90° se invierten.
+function baseSizeFromBoundingBox(areas, notes) {
+  return (areas ?? []).map((a, idx) => {
+    const quarterTurn = Math.abs(normalizeRotationDeg(a?.rotationDeg ?? 0)) === 90;
+    if (!quarterTurn || (a.w === undefined && a.h === undefined)) return a;
+
+    notes.push({
+      path: `areas[${idx}]`,
+      message: `${a.label ?? `#${idx + 1}`}: w/h del formato anterior intercambiados por el giro de 90°.`,
+    });
+    return { ...a, w: a.h, h: a.w };
+  });
+}
+
+const MIGRATIONS = {
+  0: (data) => ({
+    floors: data.grupo2.pisos ?? [],
+    areas: data.grupo2.cajas ?? [],
+    referenceAreas: data.referenceAreas ?? [],
+    cellProfile: data.cellProfile,
+    dimensions: data.dimensions ?? [],
+  }),
+  1: (data, notes) => ({
+    meta: { format: PROJECT_FORMAT, version: 2 },
+    cellProfile: data.cellProfile,
+    floors: data.floors ?? [],
+    areas: Array.isArray(data.areas) ? baseSizeFromBoundingBox(data.areas, notes) : data.areas,
+    referenceAreas: data.referenceAreas ?? [],
+    dimensions: data.dimensions ?? [],
+  }),
+};
+
+// fairino-project → proyecto v2. motionPlan, luaText y el alcance se
+// recalculan al exportar, así que solo se conservan las cajas con su zona.
+// Hasta la v2 los w/h eran el envolvente (ver baseSizeFromBoundingBox).
+function fromFairinoProject(data, version, notes) {
+  const boxes = Array.isArray(data.boxes) ? data.boxes : [];
+
+  // si faltan los pisos se reconstruyen con el zBase que trae cada caja
+  const floors = Array.isArray(data.floors) && data.floors.length > 0
+    ? data.floors
+    : [...new Set(boxes.map((b) => Number(b?.floor ?? 1)))]
+        .sort((a, b) => a - b)
+        .map((floor) => ({
+          floor,
+          zBase: boxes.find((b) => Number(b?.floor ?? 1) === floor)?.zBase,
+        }));
+
+  const areas = boxes.map((b) => ({
+    id: b?.id,
+    label: b?.label,
+    x: b?.x,
+    y: b?.y,
+    floor: b?.floor,
+    rotationDeg: b?.rotationDeg,
+    w: b?.w,
+    h: b?.h,
+    boxHeightMm: b?.boxHeightMm,
+    zone: b?.zone,
+  }));
+
+  return {
+    meta: { format: PROJECT_FORMAT, version: PROJECT_SCHEMA_VERSION },
+    cellProfile: data.cellProfile,
+    floors,
+    areas: version < 3 ? baseSizeFromBoundingBox(areas, notes) : areas,
+    referenceAreas: data.referenceAreas ?? [],
+    dimensions: data.dimensions ?? [],
+  };
+}
+
+/**
+ * Sube el JSON a la versión actual aplicando las migraciones en orden.
+ * `notes` lista los cambios de datos que hizo alguna migración.
+ * Lanza si la versión no se reconoce o es más nueva que esta app.
+ */
+export function migrateProject(data) {
+  const fromVersion = detectProjectVersion(data);
+
+  if (fromVersion === null) {
+    throw new Error("Formato de proyecto no reconocido.");
+  }
+
+  if (data.meta?.format === FAIRINO_PROJECT_FORMAT) {
+    if (fromVersion > FAIRINO_PROJECT_VERSION) {
+      throw new Error(
+        `El export Fairino es versión ${fromVersion} y esta app solo lee hasta la ${FAIRINO_PROJECT_VERSION}.`
+      );
+    }
+
+    const notes = [];
+
+    return {
+      data: fromFairinoProject(data, fromVersion, notes),
+      format: FAIRINO_PROJECT_FORMAT,
+      fromVersion,
+      steps: [`${FAIRINO_PROJECT_FORMAT} v${fromVersion} → v${PROJECT_SCHEMA_VERSION}`],
+      notes,
+    };
+  }
+
+  if (fromVersion > PROJECT_SCHEMA_VERSION) {
+    throw new Error(
+      `El proyecto es versión ${fromVersion} y esta app solo lee hasta la ${PROJECT_SCHEMA_VERSION}.`
+    );
+  }
+
+  let current = data;
+  const steps = [];
+  const notes = [];
+
+  for (let v = fromVersion; v < PROJECT_SCHEMA_VERSION; v++) {
+    current = MIGRATIONS[v](current, notes);
+    steps.push(`v${v} → v${v + 1}`);
+  }
+
+  return { data: current, format: PROJECT_FORMAT, fromVersion, steps, notes };
+}
+
+const isFiniteNumber = (v) => v !== "" && v !== null && Number.isFinite(Number(v));
+
+function outOfLimits(p, limits) {
+  return p.x < limits.minX || p.x > limits.maxX || p.y < limits.minY || p.y > limits.maxY;
+}
+
+/**
+ * Revisa un proyecto ya migrado. No modifica nada: devuelve
+ * - errors: impiden importar
+ * - warnings: se importa con un valor por defecto
+ * - clamped: geometría que quedará recortada al workspace
+ * - dropped: elementos que se descartan
+ * y `data` con los elementos descartados ya quitados.
+ */
+export function validateProject(data, { limits }) {
+  const errors = [];
+  const warnings = [];
+  const clamped = [];
+  const dropped = [];
+
+  if (!data || typeof data !== "object") {
+    errors.push({ path: "", message: "El proyecto debe ser un objeto JSON." });
+    return { errors, warnings, clamped, dropped, data: null };
+  }
+
+  for (const key of ["floors", "areas", "referenceAreas", "dimensions"]) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      errors.push({ path: key, message: "Debe ser una lista." });
+    }
+  }
+
+  if (errors.length > 0) return { errors, warnings, clamped, dropped, data: null };
+
+  // pisos
+  const floors = [];
+  const floorNumbers = new Set();
+
+  (data.floors ?? []).forEach((f, idx) => {
+    const path = `floors[${idx}]`;
+    const n = Number(f?.floor);
+
+    if (!Number.isInteger(n) || n < 1) {
+      dropped.push({ path: `${path}.floor`, label: String(f?.floor ?? ""), reason: "Número de piso inválido." });
+      return;
+    }
+    if (floorNumbers.has(n)) {
+      dropped.push({ path: `${path}.floor`, label: `P${n}`, reason: "Piso repetido." });
+      return;
+    }
+    if (!isFiniteNumber(f.zBase)) {
+      dropped.push({ path: `${path}.zBase`, label: `P${n}`, reason: "zBase no es un número." });
+      return;
+    }
+
+    floorNumbers.add(n);
+    floors.push(f);
+  });
+
+  // cajas
+  const areas = [];
+  const areaPaths = [];
+
+  (data.areas ?? []).forEach((a, idx) => {
+    const path = `areas[${idx}]`;
+    const label = String(a?.label ?? `#${idx + 1}`);
+
+    for (const key of ["x", "y"]) {
+      if (!isFiniteNumber(a?.[key])) {
+        dropped.push({ path: `${path}.${key}`, label, reason: `${key} no es un número.` });
+        return;
+      }
+    }
+
+    for (const key of ["w", "h"]) {
+      if (a[key] === undefined) {
+        warnings.push({ path: `${path}.${key}`, message: `${label}: sin ${key}, se usa el valor por defecto.` });
+      } else if (!(Number(a[key]) > 0)) {
+        dropped.push({ path: `${path}.${key}`, label, reason: `${key} debe ser mayor que 0.` });
+        return;
+      }
+    }
+
+    if (a.boxHeightMm !== undefined && !(Number(a.boxHeightMm) > 0)) {
+      warnings.push({ path: `${path}.boxHeightMm`, message: `${label}: altura inválida, se usa la de defecto.` });
+    }
+
+    const floor = Number(a.floor ?? 1);
+    if (floors.length > 0 && !floorNumbers.has(floor)) {
+      warnings.push({ path: `${path}.floor`, message: `${label}: el piso ${a.floor} no está definido.` });
+    }
+
+    let pts = rectAreaFromCenter(Number(a.x), Number(a.y), Number(a.w ?? 300), Number(a.h ?? 400));
+    const rotationDeg = normalizeRotationDeg(a.rotationDeg ?? 0);
+    if (rotationDeg !== 0) pts = rotatePolygon(pts, rotationDeg);
+
+    if (pts.some((p) => outOfLimits(p, limits))) {
+      clamped.push({ path, label, reason: "La caja sale del workspace." });
+    }
+
+    areas.push(a);
+    areaPaths.push(path);
+  });
+
+  // áreas de referencia
+  const referenceAreas = [];
+
+  (data.referenceAreas ?? []).forEach((a, idx) => {
+    const path = `referenceAreas[${idx}]`;
+    const label = String(a?.label ?? `AREA${idx + 1}`);
+    const points = Array.isArray(a?.points) ? a.points : [];
+
+    if (points.length < 3) {
+      dropped.push({ path: `${path}.points`, label, reason: "Requiere mínimo 3 puntos." });
+      return;
+    }
+
+    const bad = points.findIndex((p) => !isFiniteNumber(p?.x) || !isFiniteNumber(p?.y));
+    if (bad !== -1) {
+      dropped.push({ path: `${path}.points[${bad}]`, label, reason: "Punto sin x/y numéricos." });
+      return;
+    }
+
+    if (points.some((p) => outOfLimits({ x: Number(p.x), y: Number(p.y) }, limits))) {
+      clamped.push({ path, label, reason: "El área sale del workspace." });
+    }
+
+    referenceAreas.push(a);
+  });
+
+  // zona guardada (export Fairino) contra la que dan las áreas de referencia
+  areas.forEach((a, idx) => {
+    if (!a.zone || referenceAreas.length === 0) return;
+
+    const zone = classifyBoxZone(a, referenceAreas);
+    if (zone !== a.zone) {
+      warnings.push({
+        path: `${areaPaths[idx]}.zone`,
+        message: `${a.label ?? `#${idx + 1}`}: la zona guardada (${a.zone}) no coincide con las áreas de referencia (${zone}).`,
+      });
+    }
+  });
+
+  // cotas
+  const dimensions = [];
+
+  (data.dimensions ?? []).forEach((d, idx) => {
+    const ok = ["a", "b"].every((k) => isFiniteNumber(d?.[k]?.x) && isFiniteNumber(d?.[k]?.y));
+
+    if (!ok) {
+      dropped.push({ path: `dimensions[${idx}]`, label: String(d?.label ?? ""), reason: "Cota sin puntos válidos." });
+      return;
+    }
+
+    dimensions.push(d);
+  });
+
+  // perfil de celda: los campos malos vuelven al valor por defecto
+  if (data.cellProfile !== undefined && data.cellProfile !== null) {
+    if (typeof data.cellProfile !== "object") {
+      warnings.push({ path: "cellProfile", message: "Perfil de celda inválido, se usa el de defecto." });
+    } else {
+      for (const key of CELL_PROFILE_NUMERIC_FIELDS) {
+        const v = data.cellProfile[key];
+        if (v !== undefined && !isFiniteNumber(v)) {
+          warnings.push({ path: `cellProfile.${key}`, message: `${key} no es un número, se usa el de defecto.` });
+        }
+      }
+    }
+  }
+
+  return {
+    errors,
+    warnings,
+    clamped,
+    dropped,
+    data: { ...data, floors, areas, referenceAreas, dimensions },
+  };
+}
+
+function parseProjectText(rawText) {
+  try {
+    return { data: JSON.parse(String(rawText ?? "")) };
+  } catch (error) {
+    return { error: `JSON inválido: ${error.message}` };
+  }
+}
+
+/**
+ * Lee, migra y valida un proyecto sin aplicarlo. Es lo que muestra el
+ * diálogo de vista previa y lo que usa `importProjectData`.
+ */
+export function previewProjectImport({ rawText, limits }) {
+  const base = {
+    ok: false,
+    format: null,
+    fromVersion: null,
+    version: PROJECT_SCHEMA_VERSION,
+    migrations: [],
+    errors: [],
+    warnings: [],
+    clamped: [],
+    dropped: [],
+    summary: { floors: 0, boxes: 0, referenceAreas: 0, dimensions: 0 },
+    data: null,
+  };
+
+  const parsed = parseProjectText(rawText);
+  if (parsed.error) {
+    return { ...base, errors: [{ path: "", message: parsed.error }] };
+  }
+
+  let migrated;
+  try {
+    migrated = migrateProject(parsed.data);
+  } catch (error) {
+    return { ...base, errors: [{ path: "meta.version", message: error.message }] };
+  }
+
+  const report = validateProject(migrated.data, { limits });
+  const data = report.data;
+
+  return {
+    ...base,
+    ok: report.errors.length === 0,
+    format: migrated.format,
+    fromVersion: migrated.fromVersion,
+    migrations: migrated.steps,
+    errors: report.errors,
+    warnings: [...migrated.notes, ...report.warnings],
+    clamped: report.clamped,
+    dropped: report.dropped,
+    summary: {
+      floors: data?.floors.length ?? 0,
+      boxes: data?.areas.length ?? 0,
+      referenceAreas: data?.referenceAreas.length ?? 0,
+      dimensions: data?.dimensions.length ?? 0,
+    },
+    data,
+  };
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { migrateProject, previewProjectImport } from "./projectSchema";
+
+const limits = { minX: -3000, maxX: 3000, minY: -3000, maxY: 3000 };
+
+describe("migraciones de proyecto", () => {
+  it("v1: una caja a 90° guardada con w/h envolvente vuelve a la medida base", () => {
+    const v1 = {
+      floors: [{ floor: 1, zBase: -900 }],
+      areas: [
+        { label: "B1", x: 0, y: 0, floor: 1, rotationDeg: 0, w: 300, h: 400 },
+        { label: "B2", x: 800, y: 0, floor: 1, rotationDeg: 90, w: 400, h: 300 },
+        { label: "B3", x: -800, y: 0, floor: 1, rotationDeg: -90, w: 400, h: 300 },
+      ],
+    };
+
+    const { data, fromVersion, notes } = migrateProject(v1);
+
+    expect(fromVersion).toBe(1);
+    expect(data.areas.map((a) => [a.w, a.h])).toEqual([
+      [300, 400],
+      [300, 400],
+      [300, 400],
+    ]);
+    expect(notes.map((n) => n.path)).toEqual(["areas[1]", "areas[2]"]);
+  });
+
+  it("v0 (grupo2) pasa por la misma corrección", () => {
+    const v0 = {
+      grupo2: {
+        pisos: [{ floor: 1, zBase: -900 }],
+        cajas: [{ label: "B1", x: 0, y: 0, rotationDeg: 90, w: 400, h: 300 }],
+      },
+    };
+
+    const { data } = migrateProject(v0);
+    expect([data.areas[0].w, data.areas[0].h]).toEqual([300, 400]);
+  });
+
+  it("v2 no se toca y la vista previa avisa el intercambio", () => {
+    const v2 = {
+      meta: { format: "robot-project", version: 2 },
+      floors: [],
+      areas: [{ label: "B1", x: 0, y: 0, rotationDeg: 90, w: 300, h: 400 }],
+    };
+
+    expect(migrateProject(v2).data.areas[0]).toMatchObject({ w: 300, h: 400 });
+
+    const { meta, ...v1 } = v2;
+    const preview = previewProjectImport({ rawText: JSON.stringify(v1), limits });
+    expect(preview.ok).toBe(true);
+    expect(preview.warnings.some((w) => w.path === "areas[0]")).toBe(true);
+  });
+});
+
+describe("fairino-project", () => {
+  const box = { id: "b1", label: "B1", x: 500, y: 0, floor: 1, rotationDeg: 90, boxHeightMm: 250, zone: "RLeft" };
+  const fairino = (version, w, h) => ({
+    meta: { format: "fairino-project", version },
+    floors: [{ floor: 1, zBase: -900 }],
+    referenceAreas: [],
+    boxes: [{ ...box, w, h }],
+  });
+
+  it("v2 guardaba el envolvente: las cajas a 90° se invierten", () => {
+    const { data, notes } = migrateProject(fairino(2, 400, 300));
+    expect(data.areas[0]).toMatchObject({ w: 300, h: 400 });
+    expect(notes).toHaveLength(1);
+  });
+
+  it("v3 ya trae la medida base", () => {
+    const { data, notes } = migrateProject(fairino(3, 300, 400));
+    expect(data.areas[0]).toMatchObject({ w: 300, h: 400 });
+    expect(notes).toHaveLength(0);
+  });
+});
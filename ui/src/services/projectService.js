@@ -1,10 +1,18 @@
-import { clamp } from "../utils/workspace";
+import { clamp, getBoxHeightMm } from "../utils/workspace";
 import { truncateLabel5, getNextBlueLabel } from "../utils/labels";
 import {
   normalizeRotationDeg,
+  getAreaBaseSize,
   rectAreaFromCenter,
   rotatePolygon,
 } from "../utils/geometry";
+import { normalizeDimensions } from "../utils/measure";
+import { normalizeCellProfile } from "./cellProfile";
+import {
+  PROJECT_FORMAT,
+  PROJECT_SCHEMA_VERSION,
+  previewProjectImport,
+} from "./projectSchema";
 
 export function downloadTextFile(filename, content) {
   const blob = new Blob([content], { type: "text/plain;charset=utf-8" });
@@ -32,19 +40,18 @@ export function downloadJsonFile(filename, data) {
   URL.revokeObjectURL(url);
 }
 
-export function exportProjectData({ paintAreas, floorDefs, areaSummaryPointMm }) {
+export function exportProjectData({
+  paintAreas,
+  floorDefs,
+  areaSummaryPointMm,
+  cellProfile,
+  dimensions,
+}) {
   const singleAreas = (paintAreas ?? [])
     .filter((a) => a.source === "single")
     .map((a) => {
       const center = areaSummaryPointMm(a);
-
-      const xs = (a.points ?? []).map((p) => p.x);
-      const ys = (a.points ?? []).map((p) => p.y);
-
-      const minX = Math.min(...xs);
-      const maxX = Math.max(...xs);
-      const minY = Math.min(...ys);
-      const maxY = Math.max(...ys);
+      const size = getAreaBaseSize(a);
 
       return {
         id: a.id,
@@ -52,9 +59,10 @@ export function exportProjectData({ paintAreas, floorDefs, areaSummaryPointMm })
         x: center.x,
         y: center.y,
         floor: a.floor ?? 1,
-        rotationDeg: a.rotationDeg ?? 0,
-        w: Math.round(maxX - minX),
-        h: Math.round(maxY - minY),
+        rotationDeg: normalizeRotationDeg(a.rotationDeg ?? 0),
+        w: Math.round(size.w),
+        h: Math.round(size.h),
+        boxHeightMm: getBoxHeightMm(a),
       };
     });
 
@@ -71,9 +79,15 @@ export function exportProjectData({ paintAreas, floorDefs, areaSummaryPointMm })
     }));
 
   return {
+    meta: {
+      format: PROJECT_FORMAT,
+      version: PROJECT_SCHEMA_VERSION,
+    },
+    cellProfile: normalizeCellProfile(cellProfile),
     floors: floorDefs ?? [],
     areas: singleAreas,
     referenceAreas,
+    dimensions: normalizeDimensions(dimensions),
   };
 }
 
@@ -82,23 +96,21 @@ export function importProjectData({
   limits,
   formatAreaCSVLine,
 }) {
-  const data = JSON.parse(String(rawText ?? ""));
-
-  const importedFloors = Array.isArray(data?.floors)
-    ? data.floors
-    : Array.isArray(data?.grupo2?.pisos)
-      ? data.grupo2.pisos
-      : [];
+  // migra a la versión actual y descarta lo inválido (ver previewProjectImport)
+  const preview = previewProjectImport({ rawText, limits });
 
-  const importedAreas = Array.isArray(data?.areas)
-    ? data.areas
-    : Array.isArray(data?.grupo2?.cajas)
-      ? data.grupo2.cajas
-      : [];
+  if (!preview.ok) {
+    throw new Error(
+      preview.errors
+        .map((e) => (e.path ? `${e.path}: ${e.message}` : e.message))
+        .join(" | ")
+    );
+  }
 
-  const importedReferenceAreas = Array.isArray(data?.referenceAreas)
-    ? data.referenceAreas
-    : [];
+  const data = preview.data;
+  const importedFloors = data.floors;
+  const importedAreas = data.areas;
+  const importedReferenceAreas = data.referenceAreas;
 
   const rebuiltSingleAreas = importedAreas.map((a, idx) => {
     const x = Number(a.x ?? 0);
@@ -128,6 +140,7 @@ export function importProjectData({
       source: "single",
       floor: Number(a.floor ?? 1),
       rotationDeg,
+      boxHeightMm: getBoxHeightMm(a),
     };
   });
 
@@ -155,5 +168,103 @@ export function importProjectData({
     paintAreas: rebuiltAreas,
     nextLabel: getNextBlueLabel(rebuiltAreas),
     paintAreasText: referenceText,
+    cellProfile: data?.cellProfile ? normalizeCellProfile(data.cellProfile) : null,
+    dimensions: normalizeDimensions(data?.dimensions),
   };
-}
\ No newline at end of file
+}
+
+// ---- API de proyectos (api/) ----
+export const PROJECT_API_URL =
+  import.meta.env?.VITE_PROJECT_API_URL ?? "http://localhost:3001/api";
+
+async function apiRequest(path, { method = "GET", body } = {}) {
+  let res;
+
+  try {
+    res = await fetch(`${PROJECT_API_URL}${path}`, {
+      method,
+      headers: body === undefined ? undefined : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch {
+    throw new Error(`No se pudo conectar con la API (${PROJECT_API_URL}).`);
+  }
+
+  if (res.status === 204) return null;
+
+  const payload = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new Error(payload?.error ?? `Error ${res.status} en la API.`);
+  }
+
+  return payload;
+}
+
+export function listRemoteProjects({ q = "" } = {}) {
+  const query = q.trim() ? `?q=${encodeURIComponent(q.trim())}` : "";
+  return apiRequest(`/projects${query}`);
+}
+
+export function getRemoteProject(id) {
+  return apiRequest(`/projects/${encodeURIComponent(id)}`);
+}
+
+export function createRemoteProject({ name, data, message }) {
+  return apiRequest("/projects", { method: "POST", body: { name, data, message } });
+}
+
+// name y/o data; con data se crea una revisión nueva
+export function updateRemoteProject(id, { name, data, message }) {
+  return apiRequest(`/projects/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    body: { name, data, message },
+  });
+}
+
+export function deleteRemoteProject(id) {
+  return apiRequest(`/projects/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+export function listRemoteRevisions(id) {
+  return apiRequest(`/projects/${encodeURIComponent(id)}/revisions`);
+}
+
+export function getRemoteRevision(id, rev) {
+  return apiRequest(`/projects/${encodeURIComponent(id)}/revisions/${Number(rev)}`);
+}
+
+export function duplicateRemoteProject(id, { name } = {}) {
+  return apiRequest(`/projects/${encodeURIComponent(id)}/duplicate`, {
+    method: "POST",
+    body: name === undefined ? {} : { name },
+  });
+}
+
+// proyectos del servidor abiertos hace poco (solo en este navegador)
+const RECENT_PROJECTS_KEY = "recent_projects";
+const RECENT_PROJECTS_MAX = 6;
+
+export function getRecentProjects() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_PROJECTS_KEY) ?? "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function rememberRecentProject({ id, name }) {
+  const next = [
+    { id, name, openedAt: Date.now() },
+    ...getRecentProjects().filter((p) => p.id !== id),
+  ].slice(0, RECENT_PROJECTS_MAX);
+
+  localStorage.setItem(RECENT_PROJECTS_KEY, JSON.stringify(next));
+}
+
+export function forgetRecentProject(id) {
+  localStorage.setItem(
+    RECENT_PROJECTS_KEY,
+    JSON.stringify(getRecentProjects().filter((p) => p.id !== id))
+  );
+}
@@ -0,0 +1,143 @@
+// Alinear y distribuir cajas seleccionadas.
+// Los nombres siguen la vista del canvas: X está invertido (izquierda = +X)
+// y arriba es -Y. Sólo se traslada: rotación y piso no cambian.
+
+export const ALIGN_MODES = ["left", "right", "top", "bottom", "centerX", "centerY"];
+export const REFERENCE_EDGES = ["left", "right", "top", "bottom"];
+
+export function areaBounds(area) {
+  const xs = (area?.points ?? []).map((p) => Number(p.x));
+  const ys = (area?.points ?? []).map((p) => Number(p.y));
+
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys),
+  };
+}
+
+function mergeBounds(list) {
+  return {
+    minX: Math.min(...list.map((b) => b.minX)),
+    maxX: Math.max(...list.map((b) => b.maxX)),
+    minY: Math.min(...list.map((b) => b.minY)),
+    maxY: Math.max(...list.map((b) => b.maxY)),
+  };
+}
+
+// desplazamiento para llevar el borde / centro de b a la cota del destino
+function offsetToTarget(b, target, mode) {
+  switch (mode) {
+    case "left":
+      return { dx: target.maxX - b.maxX, dy: 0 };
+    case "right":
+      return { dx: target.minX - b.minX, dy: 0 };
+    case "top":
+      return { dx: 0, dy: target.minY - b.minY };
+    case "bottom":
+      return { dx: 0, dy: target.maxY - b.maxY };
+    case "centerX":
+      return { dx: (target.minX + target.maxX) / 2 - (b.minX + b.maxX) / 2, dy: 0 };
+    case "centerY":
+      return { dx: 0, dy: (target.minY + target.maxY) / 2 - (b.minY + b.maxY) / 2 };
+    default:
+      return { dx: 0, dy: 0 };
+  }
+}
+
+// devuelve { [id]: { dx, dy } }
+export function alignAreas(areas, mode) {
+  const list = areas ?? [];
+  if (list.length < 2) return {};
+
+  const target = mergeBounds(list.map(areaBounds));
+  const offsets = {};
+
+  for (const a of list) {
+    offsets[a.id] = offsetToTarget(areaBounds(a), target, mode);
+  }
+
+  return offsets;
+}
+
+// Mismo hueco entre cajas vecinas; la primera y la última no se mueven.
+// axis: "x" = horizontal, "y" = vertical
+export function distributeAreas(areas, axis) {
+  const list = areas ?? [];
+  if (list.length < 3) return {};
+
+  const min = axis === "x" ? "minX" : "minY";
+  const max = axis === "x" ? "maxX" : "maxY";
+
+  const items = list
+    .map((a) => ({ id: a.id, b: areaBounds(a) }))
+    .sort((p, q) => p.b[min] + p.b[max] - (q.b[min] + q.b[max]));
+
+  const first = items[0].b;
+  const last = items[items.length - 1].b;
+  const used = items.reduce((sum, it) => sum + (it.b[max] - it.b[min]), 0);
+  const gap = (last[max] - first[min] - used) / (items.length - 1);
+
+  const offsets = {};
+  let cursor = first[min];
+
+  for (const it of items) {
+    const shift = cursor - it.b[min];
+    offsets[it.id] = axis === "x" ? { dx: shift, dy: 0 } : { dx: 0, dy: shift };
+    cursor += it.b[max] - it.b[min] + gap;
+  }
+
+  return offsets;
+}
+
+// Lleva todas las cajas contra un borde del bbox de un área de referencia,
+// dejando gapMm hacia adentro.
+export function alignAreasToEdge(areas, referencePoints, edge, gapMm = 0) {
+  const list = areas ?? [];
+  if (list.length === 0 || !referencePoints || referencePoints.length < 3) return {};
+
+  const ref = areaBounds({ points: referencePoints });
+  const gap = Number(gapMm) || 0;
+
+  const target = {
+    minX: ref.minX + gap,
+    maxX: ref.maxX - gap,
+    minY: ref.minY + gap,
+    maxY: ref.maxY - gap,
+  };
+
+  const offsets = {};
+
+  for (const a of list) {
+    offsets[a.id] = offsetToTarget(areaBounds(a), target, edge);
+  }
+
+  return offsets;
+}
+
+const clampOffset = (d, lo, hi) => Math.min(Math.max(d, lo), hi);
+
+// con `limits` cada caja se frena entera en el borde del workspace (sin deformarla)
+export function translateAreas(areas, offsets, limits) {
+  return (areas ?? []).map((a) => {
+    const off = offsets?.[a.id];
+    if (!off) return a;
+
+    let { dx, dy } = off;
+    if (limits) {
+      const b = areaBounds(a);
+      dx = clampOffset(dx, limits.minX - b.minX, limits.maxX - b.maxX);
+      dy = clampOffset(dy, limits.minY - b.minY, limits.maxY - b.maxY);
+    }
+    if (dx === 0 && dy === 0) return a;
+
+    return {
+      ...a,
+      points: (a.points ?? []).map((p) => ({
+        x: p.x + dx,
+        y: p.y + dy,
+      })),
+    };
+  });
+}
@@ -0,0 +1,51 @@
+import { polygonDistance, polygonOverlapDepth } from "./geometry";
+
+// tolerancia para no marcar cajas que solo comparten un borde
+const TOUCH_TOLERANCE_MM = 0.5;
+
+export function areasCollide(areaA, areaB, clearanceMm = 0) {
+  const polyA = areaA?.points ?? [];
+  const polyB = areaB?.points ?? [];
+  if (polyA.length < 3 || polyB.length < 3) return false;
+
+  if (polygonOverlapDepth(polyA, polyB) > TOUCH_TOLERANCE_MM) return true;
+
+  const clearance = Math.max(0, Number(clearanceMm) || 0);
+  if (clearance <= 0) return false;
+
+  return polygonDistance(polyA, polyB) < clearance - TOUCH_TOLERANCE_MM;
+}
+
+/**
+ * Choques entre cajas (source "single") del mismo piso.
+ * Devuelve { [id]: [labels con los que choca] }; solo aparecen las cajas en conflicto.
+ */
+export function detectFloorCollisions({ paintAreas, clearanceMm = 0 }) {
+  const byFloor = {};
+
+  for (const a of paintAreas ?? []) {
+    if (a.source !== "single") continue;
+    const floor = Number(a.floor ?? 1);
+    if (!byFloor[floor]) byFloor[floor] = [];
+    byFloor[floor].push(a);
+  }
+
+  const collisions = {};
+
+  for (const areas of Object.values(byFloor)) {
+    for (let i = 0; i < areas.length; i++) {
+      for (let j = i + 1; j < areas.length; j++) {
+        const a = areas[i];
+        const b = areas[j];
+        if (!areasCollide(a, b, clearanceMm)) continue;
+
+        if (!collisions[a.id]) collisions[a.id] = [];
+        if (!collisions[b.id]) collisions[b.id] = [];
+        collisions[a.id].push(b.label);
+        collisions[b.id].push(a.label);
+      }
+    }
+  }
+
+  return collisions;
+}
@@ -0,0 +1,80 @@
+import { getNextGlobalBlueNumber } from "./labels";
+import { normalizeRotationDeg } from "./geometry";
+
+// Desplazamientos de una matriz N×M (columnas en X, filas en Y).
+// La celda (0,0) es el original y no se incluye.
+export function arrayOffsets({ cols, rows, pitchX, pitchY }) {
+  const nCols = Math.max(1, Math.floor(Number(cols) || 1));
+  const nRows = Math.max(1, Math.floor(Number(rows) || 1));
+  const px = Number(pitchX) || 0;
+  const py = Number(pitchY) || 0;
+  const offsets = [];
+
+  for (let r = 0; r < nRows; r++) {
+    for (let c = 0; c < nCols; c++) {
+      if (r === 0 && c === 0) continue;
+      offsets.push({ dx: c * px, dy: r * py });
+    }
+  }
+
+  return offsets;
+}
+
+function fitsInLimits(points, limits) {
+  if (!limits) return true;
+
+  return points.every(
+    (p) =>
+      p.x >= limits.minX &&
+      p.x <= limits.maxX &&
+      p.y >= limits.minY &&
+      p.y <= limits.maxY
+  );
+}
+
+/**
+ * Copia cajas aplicando cada desplazamiento.
+ * Las etiquetas siguen la numeración global (getNextGlobalBlueNumber);
+ * las copias que quedarían fuera del workspace se descartan.
+ */
+export function duplicateAreas({
+  sourceAreas,
+  existingAreas,
+  offsets = [{ dx: 0, dy: 0 }],
+  floor = null,
+  limits = null,
+}) {
+  let nextNumber = getNextGlobalBlueNumber(existingAreas);
+  const copies = [];
+  let skipped = 0;
+
+  for (const { dx, dy } of offsets) {
+    for (const area of sourceAreas ?? []) {
+      const points = (area.points ?? []).map((p) => ({
+        x: Number(p.x) + dx,
+        y: Number(p.y) + dy,
+      }));
+
+      if (!fitsInLimits(points, limits)) {
+        skipped += 1;
+        continue;
+      }
+
+      copies.push({
+        ...area,
+        id:
+          globalThis.crypto?.randomUUID?.() ??
+          String(Date.now() + Math.random()),
+        label: `B${nextNumber}`,
+        points,
+        source: "single",
+        floor: floor ?? area.floor ?? 1,
+        rotationDeg: normalizeRotationDeg(area.rotationDeg ?? 0),
+      });
+
+      nextNumber += 1;
+    }
+  }
+
+  return { copies, skipped };
+}
@@ -102,12 +102,12 @@ export function rotatePolygon(points, angleDeg) {
   );
 }
 
+// ángulo real en (-180, 180]
 export function normalizeRotationDeg(value) {
   const n = Number(value) || 0;
+  const normalized = ((n % 360) + 360) % 360;
 
-  if (n <= -45) return -90;
-  if (n >= 45) return 90;
-  return 0;
+  return normalized > 180 ? normalized - 360 : normalized;
 }
 
 export function rectAreaFromCenter(cx, cy, w, h) {
@@ -162,12 +162,29 @@ export function getRotationDeg(area) {
       0
   );
 
-  const normalized = ((raw % 360) + 360) % 360;
+  return normalizeRotationDeg(raw);
+}
+
+// medidas de la caja sin girar (ancho/alto originales), no las del bbox
+export function getAreaBaseSize(area) {
+  const pts = area?.points ?? [];
+  if (!pts.length) return { w: 300, h: 400 };
 
-  if (normalized === 270) return -90;
-  if (normalized === 90) return 90;
-  if (normalized === 180) return 0;
-  return 0;
+  const rotationDeg = getRotationDeg(area);
+  if (rotationDeg === 0) return getAreaBBoxSize(area);
+
+  const center = findInteriorPoint(pts);
+  const unrotated = pts.map((p) =>
+    rotatePointAroundCenter(
+      Number(p.x || 0),
+      Number(p.y || 0),
+      center.x,
+      center.y,
+      -rotationDeg
+    )
+  );
+
+  return getAreaBBoxSize({ points: unrotated });
 }
 
 export function rebuildRectPoints({ x, y, w, h, rotationDeg, limits }) {
@@ -181,4 +198,150 @@ export function rebuildRectPoints({ x, y, w, h, rotationDeg, limits }) {
     x: clamp(p.x, limits.minX, limits.maxX),
     y: clamp(p.y, limits.minY, limits.maxY),
   }));
-}
\ No newline at end of file
+}
+
+function projectPolygon(poly, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (const p of poly) {
+    const d = p.x * axis.x + p.y * axis.y;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+
+  return { min, max };
+}
+
+function polygonAxes(poly) {
+  const axes = [];
+
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const len = Math.hypot(ex, ey);
+    if (len < 1e-9) continue;
+    axes.push({ x: -ey / len, y: ex / len });
+  }
+
+  return axes;
+}
+
+// SAT para polígonos convexos: devuelve la penetración mínima en mm
+// (> 0 si se solapan, <= 0 si solo se tocan o están separados)
+export function polygonOverlapDepth(polyA, polyB) {
+  if (!polyA?.length || !polyB?.length) return 0;
+
+  let minOverlap = Infinity;
+
+  for (const axis of [...polygonAxes(polyA), ...polygonAxes(polyB)]) {
+    const pa = projectPolygon(polyA, axis);
+    const pb = projectPolygon(polyB, axis);
+    const overlap = Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min);
+
+    if (overlap < minOverlap) minOverlap = overlap;
+    if (minOverlap <= 0) return minOverlap;
+  }
+
+  return minOverlap;
+}
+
+function pointSegmentDistance(p, a, b) {
+  const ex = b.x - a.x;
+  const ey = b.y - a.y;
+  const len2 = ex * ex + ey * ey;
+
+  const t = len2 > 0 ? clamp(((p.x - a.x) * ex + (p.y - a.y) * ey) / len2, 0, 1) : 0;
+
+  return Math.hypot(p.x - (a.x + t * ex), p.y - (a.y + t * ey));
+}
+
+// distancia mínima entre bordes de dos polígonos convexos (0 si se solapan)
+export function polygonDistance(polyA, polyB) {
+  if (!polyA?.length || !polyB?.length) return Infinity;
+  if (polygonOverlapDepth(polyA, polyB) > 0) return 0;
+
+  let best = Infinity;
+
+  for (const [from, to] of [
+    [polyA, polyB],
+    [polyB, polyA],
+  ]) {
+    for (const p of from) {
+      for (let i = 0; i < to.length; i++) {
+        const d = pointSegmentDistance(p, to[i], to[(i + 1) % to.length]);
+        if (d < best) best = d;
+      }
+    }
+  }
+
+  return best;
+}
+
+function signedPolygonArea(poly) {
+  let a = 0;
+
+  for (let i = 0; i < poly.length; i++) {
+    const j = (i + 1) % poly.length;
+    a += poly[i].x * poly[j].y - poly[j].x * poly[i].y;
+  }
+
+  return a / 2;
+}
+
+export function polygonArea(poly) {
+  if (!poly || poly.length < 3) return 0;
+  return Math.abs(signedPolygonArea(poly));
+}
+
+// Sutherland–Hodgman: recorta "subject" con un polígono convexo "clip"
+export function clipPolygon(subject, clip) {
+  if (!subject?.length || !clip || clip.length < 3) return [];
+
+  const orientation = signedPolygonArea(clip) >= 0 ? 1 : -1;
+  const isInside = (p, a, b) =>
+    orientation * ((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x)) >= 0;
+
+  const intersect = (p, q, a, b) => {
+    const a1 = b.y - a.y;
+    const b1 = a.x - b.x;
+    const c1 = a1 * a.x + b1 * a.y;
+    const a2 = q.y - p.y;
+    const b2 = p.x - q.x;
+    const c2 = a2 * p.x + b2 * p.y;
+    const det = a1 * b2 - a2 * b1;
+
+    if (Math.abs(det) < 1e-12) return { x: q.x, y: q.y };
+    return {
+      x: (b2 * c1 - b1 * c2) / det,
+      y: (a1 * c2 - a2 * c1) / det,
+    };
+  };
+
+  let output = subject.map((p) => ({ x: Number(p.x), y: Number(p.y) }));
+
+  for (let i = 0; i < clip.length && output.length; i++) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    const input = output;
+    output = [];
+
+    for (let k = 0; k < input.length; k++) {
+      const cur = input[k];
+      const prev = input[(k + input.length - 1) % input.length];
+      const curIn = isInside(cur, a, b);
+      const prevIn = isInside(prev, a, b);
+
+      if (curIn) {
+        if (!prevIn) output.push(intersect(prev, cur, a, b));
+        output.push(cur);
+      } else if (prevIn) {
+        output.push(intersect(prev, cur, a, b));
+      }
+    }
+  }
+
+  return output;
+}
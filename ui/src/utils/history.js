@@ -0,0 +1,74 @@
+// Historial de deshacer / rehacer del layout.
+// Cada entrada guarda referencias a los arrays del estado (se actualizan de forma inmutable),
+// así que un snapshot no copia nada.
+
+export const HISTORY_LIMIT = 100;
+
+export function createHistory() {
+  return { past: [], present: null, future: [] };
+}
+
+export function isSameSnapshot(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    a.paintAreas === b.paintAreas &&
+    a.floorDefs === b.floorDefs &&
+    a.dimensions === b.dimensions
+  );
+}
+
+export function pushHistory(history, snapshot, action, limit = HISTORY_LIMIT) {
+  const entry = { ...snapshot, action, ts: Date.now() };
+
+  // "initial" = carga de arranque: pasa a ser la base y no se puede deshacer
+  if (!history.present || action === "initial") {
+    return { past: [], present: { ...entry, action: "initial" }, future: [] };
+  }
+
+  return {
+    past: [...history.past, history.present].slice(-limit),
+    present: entry,
+    future: [],
+  };
+}
+
+export function undoHistory(history) {
+  if (history.past.length === 0) return history;
+
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+  };
+}
+
+export function redoHistory(history) {
+  if (history.future.length === 0) return history;
+
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+  };
+}
+
+// lista plana (más antigua primero) para mostrar en el panel
+export function listHistory(history) {
+  return [
+    ...history.past,
+    ...(history.present ? [history.present] : []),
+    ...history.future,
+  ];
+}
+
+export function jumpHistory(history, index) {
+  const all = listHistory(history);
+  if (index < 0 || index >= all.length) return history;
+
+  return {
+    past: all.slice(0, index),
+    present: all[index],
+    future: all.slice(index + 1),
+  };
+}
@@ -0,0 +1,71 @@
+// Herramienta de medida del canvas 2D (todo en mm).
+
+export function measureBetween(a, b) {
+  const dx = Number(b.x) - Number(a.x);
+  const dy = Number(b.y) - Number(a.y);
+
+  return {
+    dx: Math.round(dx),
+    dy: Math.round(dy),
+    distance: Math.round(Math.hypot(dx, dy)),
+  };
+}
+
+function closestPointOnSegment(p, a, b) {
+  const vx = b.x - a.x;
+  const vy = b.y - a.y;
+  const len2 = vx * vx + vy * vy;
+  const k = len2 > 0 ? ((p.x - a.x) * vx + (p.y - a.y) * vy) / len2 : 0;
+  const t = Math.max(0, Math.min(1, k));
+
+  return { x: a.x + vx * t, y: a.y + vy * t };
+}
+
+// Engancha el clic al vértice más cercano y, si no hay, al borde más cercano
+// de cualquier caja o área. Sin nada cerca devuelve el punto tal cual.
+export function snapMeasurePoint(point, areas, thresholdMm) {
+  let bestVertex = null;
+  let bestEdge = null;
+
+  for (const area of areas ?? []) {
+    const pts = area.points ?? [];
+
+    for (let i = 0; i < pts.length; i++) {
+      const a = pts[i];
+      const b = pts[(i + 1) % pts.length];
+
+      const dv = Math.hypot(point.x - a.x, point.y - a.y);
+      if (dv <= thresholdMm && (!bestVertex || dv < bestVertex.d)) {
+        bestVertex = { d: dv, p: { x: a.x, y: a.y } };
+      }
+
+      const q = closestPointOnSegment(point, a, b);
+      const de = Math.hypot(point.x - q.x, point.y - q.y);
+      if (de <= thresholdMm && (!bestEdge || de < bestEdge.d)) {
+        bestEdge = { d: de, p: q };
+      }
+    }
+  }
+
+  const hit = bestVertex ?? bestEdge;
+  const p = hit ? hit.p : point;
+
+  return {
+    x: Math.round(p.x),
+    y: Math.round(p.y),
+    snapped: hit ? (bestVertex ? "vertex" : "edge") : null,
+  };
+}
+
+export function normalizeDimensions(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .filter((d) => d && d.a && d.b)
+    .map((d, idx) => ({
+      id: d.id || `dim-${idx}-${Date.now()}`,
+      a: { x: Number(d.a.x) || 0, y: Number(d.a.y) || 0 },
+      b: { x: Number(d.b.x) || 0, y: Number(d.b.y) || 0 },
+      label: typeof d.label === "string" ? d.label : "",
+    }));
+}
@@ -0,0 +1,194 @@
+import { pointInPolygon } from "./geometry";
+
+export const PALLET_PATTERNS = ["column", "brick", "pinwheel", "split-row"];
+
+function polygonBounds(poly) {
+  const xs = (poly ?? []).map((p) => Number(p.x));
+  const ys = (poly ?? []).map((p) => Number(p.y));
+
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minY: Math.min(...ys),
+    maxY: Math.max(...ys),
+  };
+}
+
+// las esquinas se meten 0.5 mm hacia adentro para no depender del borde
+function rectFitsInPolygon(cx, cy, fw, fh, poly) {
+  const hx = fw / 2 - 0.5;
+  const hy = fh / 2 - 0.5;
+
+  return [
+    { x: cx - hx, y: cy - hy },
+    { x: cx - hx, y: cy + hy },
+    { x: cx + hx, y: cy + hy },
+    { x: cx + hx, y: cy - hy },
+  ].every((p) => pointInPolygon(p, poly));
+}
+
+function fitCount(span, size, gap) {
+  if (size <= 0) return 0;
+  return Math.max(0, Math.floor((span + gap) / (size + gap)));
+}
+
+// Cada celda: { x, y, rotated } en coordenadas locales (origen 0,0 del bbox).
+// rotated = la caja ocupa h×w en vez de w×h.
+function gridCells({ cols, rows, fw, fh, gap, offsetY = 0, rotated = false }) {
+  const cells = [];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      cells.push({
+        x: c * (fw + gap) + fw / 2,
+        y: offsetY + r * (fh + gap) + fh / 2,
+        rotated,
+      });
+    }
+  }
+
+  return cells;
+}
+
+function columnCells(spanX, spanY, w, h, gap) {
+  return gridCells({
+    cols: fitCount(spanX, w, gap),
+    rows: fitCount(spanY, h, gap),
+    fw: w,
+    fh: h,
+    gap,
+  });
+}
+
+function brickCells(spanX, spanY, w, h, gap) {
+  const rows = fitCount(spanY, h, gap);
+  const cells = [];
+
+  for (let r = 0; r < rows; r++) {
+    const shift = r % 2 === 1 ? (w + gap) / 2 : 0;
+    const cols = fitCount(spanX - shift, w, gap);
+
+    for (let c = 0; c < cols; c++) {
+      cells.push({
+        x: shift + c * (w + gap) + w / 2,
+        y: r * (h + gap) + h / 2,
+        rotated: false,
+      });
+    }
+  }
+
+  return cells;
+}
+
+function pinwheelCells(spanX, spanY, w, h, gap) {
+  // bloque de 4 cajas alrededor de un hueco central, lado = largo + ancho
+  const long = Math.max(w, h);
+  const short = Math.min(w, h);
+  const flip = w < h; // las cajas "horizontales" del bloque son las de largo en X
+  const block = long + short + gap;
+
+  const inner = [
+    { x: long / 2, y: short / 2, horizontal: true },
+    { x: long + gap + short / 2, y: long / 2, horizontal: false },
+    { x: short + gap + long / 2, y: long + gap + short / 2, horizontal: true },
+    { x: short / 2, y: short + gap + long / 2, horizontal: false },
+  ];
+
+  const cols = fitCount(spanX, block, gap);
+  const rows = fitCount(spanY, block, gap);
+  const cells = [];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      for (const p of inner) {
+        cells.push({
+          x: c * (block + gap) + p.x,
+          y: r * (block + gap) + p.y,
+          rotated: flip ? p.horizontal : !p.horizontal,
+        });
+      }
+    }
+  }
+
+  return cells;
+}
+
+function splitRowCells(spanX, spanY, w, h, gap) {
+  // filas w×h y el resto del alto con cajas giradas (h×w);
+  // se elige la división que deja más cajas
+  const maxRows = fitCount(spanY, h, gap);
+  let best = [];
+
+  for (let rowsA = maxRows; rowsA >= 0; rowsA--) {
+    const usedY = rowsA > 0 ? rowsA * (h + gap) : 0;
+
+    const blockA = gridCells({
+      cols: fitCount(spanX, w, gap),
+      rows: rowsA,
+      fw: w,
+      fh: h,
+      gap,
+    });
+
+    const blockB = gridCells({
+      cols: fitCount(spanX, h, gap),
+      rows: fitCount(spanY - usedY, w, gap),
+      fw: h,
+      fh: w,
+      gap,
+      offsetY: usedY,
+      rotated: true,
+    });
+
+    const cells = [...blockA, ...blockB];
+    if (cells.length > best.length) best = cells;
+  }
+
+  return best;
+}
+
+const PATTERN_BUILDERS = {
+  column: columnCells,
+  brick: brickCells,
+  pinwheel: pinwheelCells,
+  "split-row": splitRowCells,
+};
+
+/**
+ * Genera las posiciones de un piso completo dentro de un polígono de referencia.
+ * Devuelve centros en mm y si la caja va girada (ocupa h×w).
+ */
+export function generatePalletPattern({ polygon, w, h, gap = 0, pattern = "column" }) {
+  const boxW = Number(w);
+  const boxH = Number(h);
+  const gapMm = Math.max(0, Number(gap) || 0);
+
+  if (!polygon || polygon.length < 3) return [];
+  if (!(boxW > 0) || !(boxH > 0)) return [];
+
+  const build = PATTERN_BUILDERS[pattern] ?? columnCells;
+  const bounds = polygonBounds(polygon);
+  const spanX = bounds.maxX - bounds.minX;
+  const spanY = bounds.maxY - bounds.minY;
+
+  const cells = build(spanX, spanY, boxW, boxH, gapMm);
+  if (cells.length === 0) return [];
+
+  // centrar el patrón dentro del bbox del área
+  const footprint = (c) => (c.rotated ? { fw: boxH, fh: boxW } : { fw: boxW, fh: boxH });
+  const usedMaxX = Math.max(...cells.map((c) => c.x + footprint(c).fw / 2));
+  const usedMaxY = Math.max(...cells.map((c) => c.y + footprint(c).fh / 2));
+  const offsetX = bounds.minX + (spanX - usedMaxX) / 2;
+  const offsetY = bounds.minY + (spanY - usedMaxY) / 2;
+
+  return cells
+    .map((c) => ({
+      x: Math.round(offsetX + c.x),
+      y: Math.round(offsetY + c.y),
+      rotated: c.rotated,
+    }))
+    .filter((c) => {
+      const { fw, fh } = footprint(c);
+      return rectFitsInPolygon(c.x, c.y, fw, fh, polygon);
+    });
+}
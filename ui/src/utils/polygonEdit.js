@@ -0,0 +1,49 @@
+// Edición de vértices de polígonos (mm). Todas devuelven un arreglo nuevo.
+
+export const MIN_POLYGON_POINTS = 3;
+
+export function moveVertex(points, index, point) {
+  return (points ?? []).map((p, i) =>
+    i === index ? { x: Math.round(point.x), y: Math.round(point.y) } : p
+  );
+}
+
+// inserta después de `index`, es decir, sobre el borde index -> index + 1
+export function insertVertex(points, index, point) {
+  const next = [...(points ?? [])];
+  next.splice(index + 1, 0, { x: Math.round(point.x), y: Math.round(point.y) });
+  return next;
+}
+
+export function deleteVertex(points, index) {
+  if ((points ?? []).length <= MIN_POLYGON_POINTS) return points;
+  return points.filter((_, i) => i !== index);
+}
+
+export function edgeMidpoints(points) {
+  const pts = points ?? [];
+
+  return pts.map((a, i) => {
+    const b = pts[(i + 1) % pts.length];
+    return { index: i, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  });
+}
+
+/**
+ * Reemplaza en el texto CSV de áreas la línea cuyo label coincide.
+ * Si no existe, la agrega al final. El resto de líneas queda igual.
+ */
+export function replaceAreaLine(text, label, line) {
+  const lines = (text ?? "").split(/\r?\n/);
+  const idx = lines.findIndex(
+    (l) => l.includes(",") && l.split(",")[0].trim() === label
+  );
+
+  if (idx === -1) {
+    const base = (text ?? "").trim();
+    return base ? `${base}\n${line}` : line;
+  }
+
+  lines[idx] = line;
+  return lines.join("\n");
+}
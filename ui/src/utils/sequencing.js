@@ -0,0 +1,138 @@
+import { parseBoxNumber } from "./labels";
+import { sortBoxesForLua } from "./sorting";
+
+// Orden de colocación de las cajas de un piso.
+// Cada caja necesita { id, label, x, y } (centro en mm); w / h son opcionales.
+export const SEQUENCE_STRATEGIES = [
+  "label",
+  "far-to-near",
+  "row-major",
+  "nearest-neighbour",
+  "manual",
+];
+
+// esquinas del pallet en coordenadas del workspace
+export const PALLET_CORNERS = ["minX-minY", "minX-maxY", "maxX-minY", "maxX-maxY"];
+
+export const DEFAULT_SEQUENCE = {
+  strategy: "label",
+  corner: "minX-minY",
+  order: [],
+};
+
+export function normalizeSequence(raw) {
+  const strategy = SEQUENCE_STRATEGIES.includes(raw?.strategy)
+    ? raw.strategy
+    : DEFAULT_SEQUENCE.strategy;
+
+  const corner = PALLET_CORNERS.includes(raw?.corner)
+    ? raw.corner
+    : DEFAULT_SEQUENCE.corner;
+
+  const order = Array.isArray(raw?.order) ? raw.order.map(String) : [];
+
+  return { strategy, corner, order };
+}
+
+function distance(a, b) {
+  return Math.hypot(Number(a.x) - Number(b.x), Number(a.y) - Number(b.y));
+}
+
+// empate -> orden por etiqueta para que el resultado sea estable
+function byLabel(a, b) {
+  const na = parseBoxNumber(a.label);
+  const nb = parseBoxNumber(b.label);
+
+  if (na !== nb) return na - nb;
+  return String(a.label).localeCompare(String(b.label));
+}
+
+function farToNear(boxes, robotBase) {
+  return [...boxes].sort((a, b) => {
+    const d = distance(b, robotBase) - distance(a, robotBase);
+    return Math.abs(d) > 0.5 ? d : byLabel(a, b);
+  });
+}
+
+function rowMajor(boxes, corner) {
+  const [cx, cy] = corner.split("-");
+  const dirX = cx === "minX" ? 1 : -1;
+  const dirY = cy === "minY" ? 1 : -1;
+
+  // una fila = cajas cuyo centro Y cae dentro de media caja de la primera
+  const sizes = boxes
+    .map((b) => Math.min(Number(b.w) || 0, Number(b.h) || 0))
+    .filter((n) => n > 0);
+  const rowTolerance = sizes.length > 0 ? Math.min(...sizes) / 2 : 50;
+
+  const pending = [...boxes].sort((a, b) => dirY * (a.y - b.y) || dirX * (a.x - b.x));
+  const rows = [];
+
+  for (const box of pending) {
+    const row = rows.find((r) => Math.abs(r.y - box.y) <= rowTolerance);
+
+    if (row) {
+      row.items.push(box);
+    } else {
+      rows.push({ y: box.y, items: [box] });
+    }
+  }
+
+  return rows.flatMap((r) =>
+    r.items.sort((a, b) => dirX * (a.x - b.x) || byLabel(a, b))
+  );
+}
+
+// arranca por la caja más lejana al robot y sigue siempre con la más cercana
+function nearestNeighbour(boxes, robotBase) {
+  const pending = farToNear(boxes, robotBase);
+  if (pending.length === 0) return [];
+
+  const result = [pending.shift()];
+
+  while (pending.length > 0) {
+    const last = result[result.length - 1];
+    let bestIdx = 0;
+
+    for (let i = 1; i < pending.length; i++) {
+      if (distance(pending[i], last) < distance(pending[bestIdx], last) - 0.5) {
+        bestIdx = i;
+      }
+    }
+
+    result.push(pending.splice(bestIdx, 1)[0]);
+  }
+
+  return result;
+}
+
+// las cajas que no están en la lista manual van al final por etiqueta
+function manualOrder(boxes, order) {
+  const position = new Map(order.map((id, idx) => [String(id), idx]));
+
+  const listed = boxes
+    .filter((b) => position.has(String(b.id)))
+    .sort((a, b) => position.get(String(a.id)) - position.get(String(b.id)));
+
+  const rest = sortBoxesForLua(boxes.filter((b) => !position.has(String(b.id))));
+
+  return [...listed, ...rest];
+}
+
+export function sequenceBoxes(boxes, sequence, { robotBase = { x: 0, y: 0 } } = {}) {
+  const list = [...(boxes ?? [])];
+  const { strategy, corner, order } = normalizeSequence(sequence);
+
+  switch (strategy) {
+    case "far-to-near":
+      return farToNear(list, robotBase);
+    case "row-major":
+      return rowMajor(list, corner);
+    case "nearest-neighbour":
+      return nearestNeighbour(list, robotBase);
+    case "manual":
+      return manualOrder(list, order);
+    default:
+      return sortBoxesForLua(list);
+  }
+}
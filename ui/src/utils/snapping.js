@@ -0,0 +1,129 @@
+import { areaBounds } from "./align";
+
+// Imán de objetos al arrastrar: bordes de cajas vecinas (con hueco opcional)
+// y vértices / bordes de las áreas de referencia.
+// Devuelve la corrección por eje y las guías a dibujar (en mm).
+
+function unionBounds(list) {
+  return {
+    minX: Math.min(...list.map((b) => b.minX)),
+    maxX: Math.max(...list.map((b) => b.maxX)),
+    minY: Math.min(...list.map((b) => b.minY)),
+    maxY: Math.max(...list.map((b) => b.maxY)),
+  };
+}
+
+// cotas del objeto que se mueve contra las cotas objetivo de un eje
+function bestOnAxis(movingMin, movingMax, targets, thresholdMm) {
+  let best = null;
+
+  for (const t of targets) {
+    const candidates = [
+      { delta: t.value - movingMin, value: t.value, side: "min" },
+      { delta: t.value - movingMax, value: t.value, side: "max" },
+    ].filter((c) => (t.side ? c.side === t.side : true));
+
+    for (const c of candidates) {
+      if (Math.abs(c.delta) > thresholdMm) continue;
+      if (!best || Math.abs(c.delta) < Math.abs(best.delta)) {
+        best = { ...c, span: t.span };
+      }
+    }
+  }
+
+  return best;
+}
+
+function boxTargets(bounds, axis, gapMm) {
+  const min = axis === "x" ? "minX" : "minY";
+  const max = axis === "x" ? "maxX" : "maxY";
+  const spanMin = axis === "x" ? "minY" : "minX";
+  const spanMax = axis === "x" ? "maxY" : "maxX";
+  const span = [bounds[spanMin], bounds[spanMax]];
+
+  return [
+    // borde con borde (pegadas, respetando el hueco)
+    { value: bounds[max] + gapMm, side: "min", span },
+    { value: bounds[min] - gapMm, side: "max", span },
+    // bordes alineados
+    { value: bounds[min], side: "min", span },
+    { value: bounds[max], side: "max", span },
+  ];
+}
+
+function referenceTargets(points, axis) {
+  const key = axis === "x" ? "x" : "y";
+  const other = axis === "x" ? "y" : "x";
+  const others = points.map((p) => Number(p[other]));
+  const span = [Math.min(...others), Math.max(...others)];
+
+  return points.map((p) => ({ value: Number(p[key]), span }));
+}
+
+export function computeObjectSnap({
+  movingAreas,
+  dx,
+  dy,
+  neighbourAreas = [],
+  referenceAreas = [],
+  gapMm = 0,
+  thresholdMm = 20,
+}) {
+  if (!movingAreas || movingAreas.length === 0) {
+    return { dx, dy, guides: [] };
+  }
+
+  const start = unionBounds(movingAreas.map(areaBounds));
+  const moving = {
+    minX: start.minX + dx,
+    maxX: start.maxX + dx,
+    minY: start.minY + dy,
+    maxY: start.maxY + dy,
+  };
+
+  const gap = Math.max(0, Number(gapMm) || 0);
+  const neighbourBounds = neighbourAreas.map(areaBounds);
+
+  const targetsX = [
+    ...neighbourBounds.flatMap((b) => boxTargets(b, "x", gap)),
+    ...referenceAreas.flatMap((a) => referenceTargets(a.points ?? [], "x")),
+  ];
+
+  const targetsY = [
+    ...neighbourBounds.flatMap((b) => boxTargets(b, "y", gap)),
+    ...referenceAreas.flatMap((a) => referenceTargets(a.points ?? [], "y")),
+  ];
+
+  const snapX = bestOnAxis(moving.minX, moving.maxX, targetsX, thresholdMm);
+  const snapY = bestOnAxis(moving.minY, moving.maxY, targetsY, thresholdMm);
+
+  const nextDx = snapX ? dx + snapX.delta : dx;
+  const nextDy = snapY ? dy + snapY.delta : dy;
+  const guides = [];
+
+  if (snapX) {
+    guides.push({
+      axis: "x",
+      value: snapX.value,
+      from: Math.min(snapX.span[0], moving.minY + (nextDy - dy)),
+      to: Math.max(snapX.span[1], moving.maxY + (nextDy - dy)),
+    });
+  }
+
+  if (snapY) {
+    guides.push({
+      axis: "y",
+      value: snapY.value,
+      from: Math.min(snapY.span[0], moving.minX + (nextDx - dx)),
+      to: Math.max(snapY.span[1], moving.maxX + (nextDx - dx)),
+    });
+  }
+
+  return {
+    dx: nextDx,
+    dy: nextDy,
+    snappedX: !!snapX,
+    snappedY: !!snapY,
+    guides,
+  };
+}
@@ -0,0 +1,91 @@
+import { clipPolygon, polygonArea } from "./geometry";
+
+function getFloorOrder(floorDefs, boxes) {
+  const floors = new Set([
+    ...(floorDefs ?? []).map((f) => Number(f.floor)),
+    ...boxes.map((a) => Number(a.floor ?? 1)),
+  ]);
+
+  return [...floors].filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+/**
+ * Porcentaje de la huella de cada caja que se apoya sobre cajas del piso inferior.
+ * El piso más bajo se apoya en el pallet (100 %).
+ * stabilityPct del piso = promedio del apoyo ponderado por área de huella.
+ */
+export function computeFloorSupport({ paintAreas, floorDefs, thresholdPct = 80 }) {
+  const boxes = (paintAreas ?? []).filter(
+    (a) => a.source === "single" && (a.points ?? []).length >= 3
+  );
+
+  const threshold = Math.max(0, Math.min(100, Number(thresholdPct) || 0));
+  const floorOrder = getFloorOrder(floorDefs, boxes);
+
+  const byFloor = {};
+  for (const a of boxes) {
+    const floor = Number(a.floor ?? 1);
+    if (!byFloor[floor]) byFloor[floor] = [];
+    byFloor[floor].push(a);
+  }
+
+  const boxSupport = {};
+  const floors = [];
+
+  floorOrder.forEach((floor, index) => {
+    const floorBoxes = byFloor[floor] ?? [];
+    const belowFloor = index > 0 ? floorOrder[index - 1] : null;
+    const belowBoxes = belowFloor === null ? [] : byFloor[belowFloor] ?? [];
+
+    let totalArea = 0;
+    let supportedArea = 0;
+    let unstableCount = 0;
+    let minSupportPct = 100;
+
+    for (const box of floorBoxes) {
+      const area = polygonArea(box.points);
+
+      let supported = area;
+      if (belowFloor !== null) {
+        supported = belowBoxes.reduce(
+          (acc, below) => acc + polygonArea(clipPolygon(box.points, below.points)),
+          0
+        );
+      }
+
+      const supportPct =
+        area > 0 ? Math.min(100, Math.round((supported / area) * 1000) / 10) : 0;
+      const isStable = supportPct >= threshold;
+
+      boxSupport[box.id] = {
+        id: box.id,
+        label: box.label,
+        floor,
+        belowFloor,
+        supportPct,
+        isStable,
+      };
+
+      totalArea += area;
+      supportedArea += (area * supportPct) / 100;
+      if (!isStable) unstableCount += 1;
+      if (supportPct < minSupportPct) minSupportPct = supportPct;
+    }
+
+    floors.push({
+      floor,
+      belowFloor,
+      boxCount: floorBoxes.length,
+      stabilityPct:
+        totalArea > 0 ? Math.round((supportedArea / totalArea) * 1000) / 10 : 100,
+      minSupportPct: floorBoxes.length ? minSupportPct : 100,
+      unstableCount,
+    });
+  });
+
+  return {
+    thresholdPct: threshold,
+    boxes: boxSupport,
+    floors,
+  };
+}
@@ -21,7 +21,44 @@ export function getNextFloorNumber(floorDefs, paintAreas) {
   return maxFloor + 1;
 }
 
-export function getSuggestedFloorZBase(floorNumber) {
-  const itemZ = 300;
-  return -900 + (Math.max(1, Number(floorNumber)) - 1) * itemZ;
+export const DEFAULT_BOX_HEIGHT_MM = 300;
+
+export function getBoxHeightMm(area) {
+  const h = Number(area?.boxHeightMm);
+  return Number.isFinite(h) && h > 0 ? h : DEFAULT_BOX_HEIGHT_MM;
+}
+
+// alto de un piso = la caja más alta de ese piso
+export function getFloorHeightMm(floorNumber, paintAreas) {
+  const heights = (paintAreas ?? [])
+    .filter(
+      (a) => a.source === "single" && Number(a.floor ?? 1) === Number(floorNumber)
+    )
+    .map(getBoxHeightMm);
+
+  return heights.length ? Math.max(...heights) : DEFAULT_BOX_HEIGHT_MM;
+}
+
+export function getSuggestedFloorZBase(
+  floorNumber,
+  floorDefs = [],
+  paintAreas = [],
+  firstFloorZBase = -900
+) {
+  const n = Math.max(1, Number(floorNumber) || 1);
+
+  // apilar desde el piso definido más cercano por debajo
+  const below = (floorDefs ?? [])
+    .filter((f) => Number(f.floor) < n && Number.isFinite(Number(f.zBase)))
+    .sort((a, b) => Number(b.floor) - Number(a.floor))[0];
+
+  let floor = below ? Number(below.floor) : 1;
+  let zBase = below ? Number(below.zBase) : Number(firstFloorZBase);
+
+  while (floor < n) {
+    zBase += getFloorHeightMm(floor, paintAreas);
+    floor += 1;
+  }
+
+  return zBase;
 }
\ No newline at end of file